@@ -1,16 +1,14 @@
 import React from "react";
-import ReactPixi from "./react-pixi";
-import * as PIXI from "pixi.js";
+import ReactDOM from "react-dom/client";
+import { Stage } from "./react-pixi";
 import "./index.css";
 import App from "./App";
 
-const app = new PIXI.Application({ width: 640, height: 480 });
-const $root = document.getElementById("root");
-$root.appendChild(app.view);
-
-ReactPixi.render(
+const root = ReactDOM.createRoot(document.getElementById("root"));
+root.render(
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-  app.stage
+    <Stage width={640} height={480}>
+      <App />
+    </Stage>
+  </React.StrictMode>
 );
@@ -0,0 +1,29 @@
+import { createElement, useMemo } from "react";
+
+import { validateScene } from "./scene";
+
+function renderNodes(nodes = []) {
+  return nodes.map((node, i) =>
+    typeof node === "string"
+      ? node
+      : createElement(
+          node.type,
+          { ...node.props, key: i },
+          ...renderNodes(node.children)
+        )
+  );
+}
+
+/**
+ * Renders a scene document, as produced by `serializeScene` or authored by hand, through the reconciler. `data` is validated first, see `validateScene`; an invalid document throws during render so it can be caught by an error boundary.
+ *
+ * Elements are keyed by position, so loading a different document with the same structure updates the existing display objects rather than recreating them.
+ */
+export function SceneFromJSON({ data }) {
+  const children = useMemo(() => {
+    validateScene(data);
+    return renderNodes(data.children);
+  }, [data]);
+
+  return children;
+}
@@ -0,0 +1,124 @@
+import * as PIXI from "pixi.js";
+import { useContext, useLayoutEffect, useRef } from "react";
+
+import { createRoot } from "./root";
+
+/**
+ * Wraps `children` in a provider for each of `contexts`, re-providing the values read from the outer React DOM tree. Context doesn't cross renderers by itself, so without this the PIXI tree would only ever see each context's default value.
+ */
+function bridgeContexts(contexts, values, children) {
+  return contexts.reduceRight(
+    (tree, Context, i) => (
+      <Context.Provider value={values[i]}>{tree}</Context.Provider>
+    ),
+    children
+  );
+}
+
+/**
+ * Reads `contexts` from the React DOM tree, one per level so that each level calls `useContext` exactly once, and passes their values on to `children`, a function.
+ */
+function ContextReader({ contexts, values, children }) {
+  const value = useContext(contexts[values.length]);
+  const nextValues = [...values, value];
+
+  if (nextValues.length < contexts.length) {
+    return (
+      <ContextReader contexts={contexts} values={nextValues}>
+        {children}
+      </ContextReader>
+    );
+  }
+  return children(nextValues);
+}
+
+function StageCanvas({
+  width,
+  height,
+  options,
+  batchToTicker,
+  contexts,
+  contextValues,
+  children,
+}) {
+  const containerRef = useRef(null);
+  const appRef = useRef(null);
+  const rootRef = useRef(null);
+  const propsRef = useRef({ width, height, options, batchToTicker });
+
+  useLayoutEffect(() => {
+    propsRef.current = { width, height, options, batchToTicker };
+  });
+
+  // The application is only created once. Size changes are handled below, other options are only read here.
+  useLayoutEffect(() => {
+    const app = new PIXI.Application({
+      ...propsRef.current.options,
+      width: propsRef.current.width,
+      height: propsRef.current.height,
+    });
+    containerRef.current.appendChild(app.view);
+
+    appRef.current = app;
+    rootRef.current = createRoot(app.stage, {
+      app,
+      batchToTicker: propsRef.current.batchToTicker ? app.ticker : null,
+    });
+
+    return () => {
+      rootRef.current.unmount();
+      app.destroy(true, { children: true });
+      appRef.current = null;
+      rootRef.current = null;
+    };
+  }, []);
+
+  useLayoutEffect(() => {
+    appRef.current.renderer.resize(width, height);
+  }, [width, height]);
+
+  useLayoutEffect(() => {
+    rootRef.current.render(bridgeContexts(contexts, contextValues, children));
+  });
+
+  return <div ref={containerRef} />;
+}
+
+/**
+ * A React DOM component which owns a `PIXI.Application` and renders its `children` into the application's stage through the PIXI reconciler.
+ *
+ * - `width`, `height`: size of the canvas. The renderer is resized when these change.
+ * - `options`: any other `PIXI.Application` options. These are only read when the application is created.
+ * - `batchToTicker`: batch commits to frames of the application's ticker, see the `batchToTicker` option of `createRoot`. Only read when the application is created.
+ * - `contexts`: React contexts from the surrounding React DOM tree to make available to the PIXI tree, e.g. `[ThemeContext, StoreContext]`. Changing how many contexts there are recreates the application.
+ */
+export function Stage({
+  width = 800,
+  height = 600,
+  options,
+  batchToTicker = false,
+  contexts = [],
+  children,
+}) {
+  const renderCanvas = (contextValues) => (
+    <StageCanvas
+      width={width}
+      height={height}
+      options={options}
+      batchToTicker={batchToTicker}
+      contexts={contexts}
+      contextValues={contextValues}
+    >
+      {children}
+    </StageCanvas>
+  );
+
+  if (contexts.length === 0) {
+    return renderCanvas([]);
+  }
+  return (
+    <ContextReader contexts={contexts} values={[]}>
+      {renderCanvas}
+    </ContextReader>
+  );
+}
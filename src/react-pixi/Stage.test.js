@@ -0,0 +1,82 @@
+import * as PIXI from "pixi.js";
+import { render } from "@testing-library/react";
+import { createContext, useContext } from "react";
+
+import { useApp } from "./hooks";
+import { Stage } from "./Stage";
+import { installHeadlessCanvas } from "./test-utils";
+import { TYPE_TEXT } from "./types";
+
+// jsdom has no WebGL, so the application is replaced with one which only has a stage.
+jest.mock("pixi.js", () => ({
+  ...jest.requireActual("pixi.js"),
+  Application: jest.fn(),
+}));
+
+const ThemeContext = createContext("light");
+const LevelContext = createContext(0);
+
+function Label() {
+  const app = useApp();
+  const theme = useContext(ThemeContext);
+  const level = useContext(LevelContext);
+
+  return (
+    <TYPE_TEXT>
+      {app.name} {theme} {level}
+    </TYPE_TEXT>
+  );
+}
+
+function Page({ theme, level, width = 300 }) {
+  return (
+    <ThemeContext.Provider value={theme}>
+      <LevelContext.Provider value={level}>
+        <Stage
+          width={width}
+          height={200}
+          options={{ antialias: true }}
+          contexts={[ThemeContext, LevelContext]}
+        >
+          <Label />
+        </Stage>
+      </LevelContext.Provider>
+    </ThemeContext.Provider>
+  );
+}
+
+beforeEach(() => {
+  installHeadlessCanvas();
+  PIXI.Application.mockImplementation(function (options) {
+    this.name = "app";
+    this.options = options;
+    this.stage = new PIXI.Container();
+    this.view = document.createElement("canvas");
+    this.renderer = { resize: jest.fn() };
+    this.destroy = jest.fn();
+  });
+});
+
+test("renders into the stage of an application it owns", () => {
+  const { rerender, unmount } = render(<Page theme="dark" level={1} />);
+  const [app] = PIXI.Application.mock.instances;
+
+  expect(PIXI.Application).toHaveBeenCalledWith({
+    antialias: true,
+    width: 300,
+    height: 200,
+  });
+  expect(app.view.isConnected).toBe(true);
+  const label = app.stage.getChildAt(0);
+  expect(label.text).toBe("app dark 1");
+
+  rerender(<Page theme="light" level={2} width={400} />);
+  expect(PIXI.Application).toHaveBeenCalledTimes(1);
+  expect(app.stage.getChildAt(0)).toBe(label);
+  expect(label.text).toBe("app light 2");
+  expect(app.renderer.resize).toHaveBeenLastCalledWith(400, 200);
+
+  unmount();
+  expect(label.destroyed).toBe(true);
+  expect(app.destroy).toHaveBeenCalled();
+});
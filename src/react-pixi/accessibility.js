@@ -0,0 +1,103 @@
+import { setAccessible } from "./events";
+
+/**
+ * Accessibility props, mapped to the property PIXI's accessibility plugin reads from the display object. `accessibleRole` has no PIXI equivalent and is written onto the plugin's overlay element directly, see `setRole`.
+ */
+export const ACCESSIBILITY_PROPS = {
+  accessibleTitle: "accessibleTitle",
+  accessibleHint: "accessibleHint",
+  tabIndex: "tabIndex",
+  accessibleRole: null,
+};
+
+/**
+ * The values PIXI gives the accessibility properties by default.
+ */
+const ACCESSIBILITY_DEFAULTS = {
+  accessibleTitle: null,
+  accessibleHint: null,
+  tabIndex: 0,
+};
+
+/**
+ * The accessibility props currently set on each display object, and the overlay element PIXI has assigned to it, if any.
+ */
+const accessibilityStates = new WeakMap();
+
+function applyRole(element, role) {
+  if (role === undefined) {
+    element.removeAttribute("role");
+  } else {
+    element.setAttribute("role", role);
+  }
+}
+
+/**
+ * PIXI's accessibility plugin creates an overlay `<button>` for an accessible display object when it's first rendered after the plugin activates, and takes it back into a pool when the object is no longer rendered. The role has to follow the element around, so this intercepts PIXI assigning `_accessibleDiv` to set the role on the new element and clear it from the one given back.
+ */
+function trackOverlayElement(displayObject, state) {
+  state.element = displayObject._accessibleDiv;
+
+  Object.defineProperty(displayObject, "_accessibleDiv", {
+    configurable: true,
+    get: () => state.element,
+    set: (element) => {
+      if (state.element) {
+        state.element.removeAttribute("role");
+      }
+      state.element = element;
+      if (element) {
+        applyRole(element, state.props.accessibleRole);
+      }
+    },
+  });
+}
+
+function getAccessibilityState(displayObject) {
+  let state = accessibilityStates.get(displayObject);
+  if (!state) {
+    state = { props: {}, element: null };
+    accessibilityStates.set(displayObject, state);
+    trackOverlayElement(displayObject, state);
+  }
+  return state;
+}
+
+/**
+ * Sets or, if `value` is `undefined`, removes an accessibility prop. A display object with any of them set is made `accessible` and interactive, so PIXI's accessibility plugin gives it an overlay element which screen readers can announce and the keyboard can focus:
+ *
+ * - `accessibleTitle`: the element's `title`.
+ * - `accessibleHint`: the element's `aria-label`, which screen readers prefer over the title.
+ * - `tabIndex`: the element's `tabIndex`, for the order in which Tab moves between elements.
+ * - `accessibleRole`: the element's ARIA `role`, e.g. `menuitem`. Without it elements are announced as buttons.
+ *
+ * The plugin only shows its overlay once the user presses Tab, and hides it again when the mouse moves. The overlay elements are buttons, so Enter and Space click them, which calls the display object's `onClick` handler.
+ */
+export function setAccessibilityProp(displayObject, key, value) {
+  const state = getAccessibilityState(displayObject);
+  const property = ACCESSIBILITY_PROPS[key];
+
+  if (value === undefined) {
+    delete state.props[key];
+  } else {
+    state.props[key] = value;
+  }
+
+  if (property) {
+    displayObject[property] =
+      value === undefined ? ACCESSIBILITY_DEFAULTS[property] : value;
+  } else if (state.element) {
+    applyRole(state.element, value);
+  }
+
+  // PIXI writes a missing title onto the overlay element as "null" once it's shown.
+  const accessible = Object.keys(state.props).length > 0;
+  if (accessible && displayObject.accessibleTitle === null) {
+    displayObject.accessibleTitle = "";
+  } else if (!accessible && displayObject.accessibleTitle === "") {
+    displayObject.accessibleTitle = null;
+  }
+
+  displayObject.accessible = accessible;
+  setAccessible(displayObject, accessible);
+}
@@ -0,0 +1,82 @@
+import { fireEvent, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import * as PIXI from "pixi.js";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_RECTANGLE } from "./types";
+
+/**
+ * Just enough of a renderer for `PIXI.AccessibilityManager`: a canvas in the document, the last rendered stage and an interaction plugin which emits the events it dispatches.
+ */
+class OverlayRenderer extends PIXI.utils.EventEmitter {
+  constructor(stage) {
+    super();
+
+    this.view = document.createElement("canvas");
+    this.width = 800;
+    this.height = 600;
+    this.resolution = 1;
+    this.renderingToScreen = true;
+    this._lastObjectRendered = stage;
+    this.plugins = {
+      interaction: {
+        eventData: new PIXI.InteractionEvent(),
+        dispatchEvent: (displayObject, eventName, eventData) =>
+          displayObject.emit(eventName, eventData),
+      },
+    };
+    document.body.append(this.view);
+  }
+
+  render() {
+    this.emit("postrender");
+  }
+}
+
+function Play({ visible = true, onClick }) {
+  return (
+    <TYPE_RECTANGLE
+      width={40}
+      height={20}
+      visible={visible}
+      accessibleTitle="Play"
+      accessibleRole="menuitem"
+      onClick={onClick}
+    />
+  );
+}
+
+test("overlay elements get the role and click through to onClick", () => {
+  const root = createTestRoot();
+  const renderer = new OverlayRenderer(root.stage);
+  const manager = new PIXI.AccessibilityManager(renderer);
+  const onClick = jest.fn();
+
+  root.render(<Play onClick={onClick} />);
+  // The manager reads the legacy `keyCode`, which user-event leaves at 0.
+  fireEvent.keyDown(document.body, { key: "Tab", keyCode: 9 });
+  expect(manager.isActive).toBe(true);
+
+  renderer.render();
+  const button = screen.getByRole("menuitem", { name: "Play" });
+  userEvent.tab();
+  expect(button).toHaveFocus();
+  userEvent.keyboard("{Enter}");
+  expect(onClick).toHaveBeenCalledTimes(1);
+
+  // Hidden objects give their overlay element back to the pool, without the role.
+  root.render(<Play visible={false} onClick={onClick} />);
+  renderer.render();
+  expect(screen.queryByRole("menuitem")).toBe(null);
+  expect(manager.pool).toContain(button);
+  expect(button).not.toHaveAttribute("role");
+
+  // The element is reused for the next object to show up, with that object's role.
+  root.render(<Play onClick={onClick} />);
+  renderer.render();
+  expect(screen.getByRole("menuitem", { name: "Play" })).toBe(button);
+
+  root.unmount();
+  manager.destroy();
+  renderer.view.remove();
+});
@@ -0,0 +1,493 @@
+import * as PIXI from "pixi.js";
+import {
+  createElement,
+  forwardRef,
+  useContext,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef,
+} from "react";
+
+import { AppContext } from "./hooks";
+
+/**
+ * Easing functions for tweens, by name. Each maps progress from 0 to 1 onto eased progress. Tweens also accept any function of the same shape.
+ */
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  easeInCubic: (t) => t ** 3,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  easeOutBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+};
+
+/**
+ * The display object properties animations can write to. `scale` is split into its two axes so each can be animated on its own.
+ */
+const CHANNELS = {
+  x: {
+    get: (displayObject) => displayObject.x,
+    set: (displayObject, value) => {
+      displayObject.x = value;
+    },
+  },
+  y: {
+    get: (displayObject) => displayObject.y,
+    set: (displayObject, value) => {
+      displayObject.y = value;
+    },
+  },
+  alpha: {
+    get: (displayObject) => displayObject.alpha,
+    set: (displayObject, value) => {
+      displayObject.alpha = value;
+    },
+  },
+  rotation: {
+    get: (displayObject) => displayObject.rotation,
+    set: (displayObject, value) => {
+      displayObject.rotation = value;
+    },
+  },
+  scaleX: {
+    get: (displayObject) => displayObject.scale.x,
+    set: (displayObject, value) => {
+      displayObject.scale.x = value;
+    },
+  },
+  scaleY: {
+    get: (displayObject) => displayObject.scale.y,
+    set: (displayObject, value) => {
+      displayObject.scale.y = value;
+    },
+  },
+};
+
+/**
+ * Converts animation values as they're written in props, e.g. `{ x: 10, scale: [2, 1] }`, into values per channel. `scale` takes the same values as the `scale` prop.
+ */
+function toChannelValues(values) {
+  const { scale, ...rest } = values;
+  const channelValues = {};
+
+  for (const key in rest) {
+    if (!(key in CHANNELS)) {
+      throw new Error(`Cannot animate ${key}`);
+    }
+    channelValues[key] = rest[key];
+  }
+  if (typeof scale === "number") {
+    channelValues.scaleX = scale;
+    channelValues.scaleY = scale;
+  } else if (Array.isArray(scale)) {
+    [channelValues.scaleX, channelValues.scaleY] = scale;
+  } else if (scale) {
+    channelValues.scaleX = scale.x;
+    channelValues.scaleY = scale.y;
+  }
+  return channelValues;
+}
+
+function writeChannelValues(displayObject, channelValues) {
+  for (const key in channelValues) {
+    CHANNELS[key].set(displayObject, channelValues[key]);
+  }
+}
+
+/**
+ * Animations running on each ticker. Every ticker gets a single listener which advances all of its animations, rather than one listener per animation.
+ */
+const tickerAnimations = new WeakMap();
+
+/**
+ * Runs `animation.update(deltaMS)` on every frame of `ticker` until it returns `true` or `removeAnimation` is called.
+ */
+function addAnimation(ticker, animation) {
+  let entry = tickerAnimations.get(ticker);
+  if (!entry) {
+    const animations = new Set();
+    const listener = () => {
+      for (const runningAnimation of animations) {
+        if (runningAnimation.update(ticker.deltaMS)) {
+          animations.delete(runningAnimation);
+        }
+      }
+    };
+
+    entry = { animations, listener };
+    tickerAnimations.set(ticker, entry);
+    ticker.add(listener);
+  }
+  entry.animations.add(animation);
+}
+
+function removeAnimation(ticker, animation) {
+  const entry = tickerAnimations.get(ticker);
+  if (entry) {
+    entry.animations.delete(animation);
+  }
+}
+
+/**
+ * Tweens `displayObject` through `steps` one after another. Each step is an object of target values along with its own `duration` (ms), `delay` (ms) and `easing`, which default to those in `options`. Every step starts from wherever the previous one left the display object.
+ *
+ * `options.onComplete(finished)` is called with `true` once the last step is done, or with `false` if the tween is stopped first. Returns `{ stop }`.
+ */
+export function startTween(displayObject, ticker, steps, options = {}) {
+  const {
+    duration: defaultDuration = 300,
+    delay: defaultDelay = 0,
+    easing: defaultEasing = "easeOutQuad",
+    onComplete,
+  } = options;
+  let stepIndex = -1;
+  let step = null;
+  let elapsed = 0;
+  let isRunning = true;
+
+  function startStep(index) {
+    const {
+      duration = defaultDuration,
+      delay = defaultDelay,
+      easing = defaultEasing,
+      ...values
+    } = steps[index];
+    const to = toChannelValues(values);
+    const from = {};
+
+    for (const key in to) {
+      from[key] = CHANNELS[key].get(displayObject);
+    }
+    stepIndex = index;
+    step = {
+      from,
+      to,
+      duration,
+      delay,
+      ease: typeof easing === "function" ? easing : easings[easing],
+    };
+  }
+
+  function finish(finished) {
+    isRunning = false;
+    if (onComplete) {
+      onComplete(finished);
+    }
+  }
+
+  const animation = {
+    update(deltaMS) {
+      if (displayObject.destroyed) {
+        finish(false);
+        return true;
+      }
+
+      elapsed += deltaMS;
+      while (elapsed >= step.delay) {
+        const progress =
+          step.duration > 0
+            ? Math.min(1, (elapsed - step.delay) / step.duration)
+            : 1;
+        const eased = step.ease(progress);
+
+        for (const key in step.to) {
+          const from = step.from[key];
+
+          CHANNELS[key].set(
+            displayObject,
+            from + (step.to[key] - from) * eased
+          );
+        }
+        if (progress < 1) {
+          break;
+        }
+
+        elapsed -= step.delay + step.duration;
+        if (stepIndex === steps.length - 1) {
+          finish(true);
+          return true;
+        }
+        startStep(stepIndex + 1);
+      }
+      return false;
+    },
+  };
+
+  if (steps.length === 0) {
+    finish(true);
+  } else {
+    startStep(0);
+    addAnimation(ticker, animation);
+  }
+
+  return {
+    stop() {
+      if (isRunning) {
+        removeAnimation(ticker, animation);
+        finish(false);
+      }
+    },
+  };
+}
+
+/**
+ * Springs are simulated in steps of at most this many seconds, which keeps them stable when a frame takes longer than usual.
+ */
+const MAX_SPRING_STEP = 1 / 120;
+
+/**
+ * Moves `displayObject` towards target values as if it were attached to them by a spring. `getOptions()` returns the current `{ stiffness, damping, mass, precision, onRest }`; it's read on every frame so options can change while the spring is moving.
+ *
+ * Returns `{ setTarget, stop }`. Changing the target of a moving spring keeps its velocity, so interrupted movements stay smooth. `onRest` is called whenever the spring comes to rest on its target.
+ */
+export function createSpring(displayObject, ticker, getOptions) {
+  const channels = {};
+  let isRunning = false;
+
+  const animation = {
+    update(deltaMS) {
+      if (displayObject.destroyed) {
+        isRunning = false;
+        return true;
+      }
+
+      const {
+        stiffness = 170,
+        damping = 26,
+        mass = 1,
+        precision = 0.01,
+        onRest,
+      } = getOptions();
+      let remaining = deltaMS / 1000;
+      let isResting = true;
+
+      while (remaining > 0) {
+        const dt = Math.min(remaining, MAX_SPRING_STEP);
+
+        for (const key in channels) {
+          const channel = channels[key];
+          const force =
+            -stiffness * (channel.value - channel.target) -
+            damping * channel.velocity;
+
+          channel.velocity += (force / mass) * dt;
+          channel.value += channel.velocity * dt;
+        }
+        remaining -= dt;
+      }
+
+      for (const key in channels) {
+        const channel = channels[key];
+
+        if (
+          Math.abs(channel.velocity) < precision &&
+          Math.abs(channel.value - channel.target) < precision
+        ) {
+          channel.value = channel.target;
+          channel.velocity = 0;
+        } else {
+          isResting = false;
+        }
+        CHANNELS[key].set(displayObject, channel.value);
+      }
+
+      if (isResting) {
+        isRunning = false;
+        if (onRest) {
+          onRest();
+        }
+      }
+      return isResting;
+    },
+  };
+
+  return {
+    setTarget(values) {
+      const to = toChannelValues(values);
+
+      for (const key in to) {
+        if (!channels[key]) {
+          channels[key] = {
+            value: CHANNELS[key].get(displayObject),
+            velocity: 0,
+            target: to[key],
+          };
+        }
+        channels[key].target = to[key];
+      }
+      if (!isRunning) {
+        isRunning = true;
+        addAnimation(ticker, animation);
+      }
+    },
+    stop() {
+      if (isRunning) {
+        isRunning = false;
+        removeAnimation(ticker, animation);
+      }
+    },
+  };
+}
+
+/**
+ * The ticker animations run on: the application's ticker inside a `Stage`, `PIXI.Ticker.shared` anywhere else.
+ */
+function useAnimationTicker() {
+  const app = useContext(AppContext);
+
+  return app ? app.ticker : PIXI.Ticker.shared;
+}
+
+/**
+ * Keeps a ref to the latest value, so ticker callbacks always see the current props.
+ */
+function useLatest(value) {
+  const ref = useRef(value);
+
+  useLayoutEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+}
+
+/**
+ * Tweens the display object in `ref` to `to` whenever `to` changes, writing straight to the PIXI object on each frame rather than re-rendering. `to` holds target values for `x`, `y`, `alpha`, `rotation` and `scale`, or is an array of such steps to play in sequence, see `startTween`. Pass `null` to leave the display object alone.
+ *
+ * - `from`: values to jump to before the tween starts. Without it, tweens start from the display object's current values.
+ * - `duration` (ms), `delay` (ms) and `easing`: defaults for every step. `easing` is a function or the name of one of `easings`.
+ * - `onComplete(finished)`: see `startTween`.
+ *
+ * A tween which is still running when `to` changes is interrupted and the new one starts from wherever it got to. Don't also pass the animated props to the element itself, or each re-render would overwrite the animation.
+ */
+export function useTween(ref, to, options = {}) {
+  const ticker = useAnimationTicker();
+  const toRef = useLatest(to);
+  const optionsRef = useLatest(options);
+  // Compared by value so that passing an inline object doesn't restart the tween on every render.
+  const target = JSON.stringify(to);
+
+  useLayoutEffect(() => {
+    const displayObject = ref.current;
+    if (!displayObject || target === undefined || target === "null") {
+      return;
+    }
+
+    const { from, duration, delay, easing } = optionsRef.current;
+    const steps = toRef.current;
+
+    if (from) {
+      writeChannelValues(displayObject, toChannelValues(from));
+    }
+
+    const tween = startTween(
+      displayObject,
+      ticker,
+      Array.isArray(steps) ? steps : [steps],
+      {
+        duration,
+        delay,
+        easing,
+        onComplete: (finished) => {
+          const { onComplete } = optionsRef.current;
+
+          if (onComplete) {
+            onComplete(finished);
+          }
+        },
+      }
+    );
+
+    return () => {
+      tween.stop();
+    };
+  }, [ref, ticker, target, toRef, optionsRef]);
+}
+
+/**
+ * Moves the display object in `ref` towards `to` with a spring whenever `to` changes, writing straight to the PIXI object on each frame rather than re-rendering. `to` takes the same values as in `useTween`. Pass `null` to leave the display object alone.
+ *
+ * - `from`: values to jump to when the spring is first set in motion.
+ * - `stiffness`, `damping` and `mass`: the physical properties of the spring.
+ * - `precision`: how close to the target the spring must be, and how slowly it must be moving, to come to rest.
+ * - `onRest()`: called whenever the spring comes to rest.
+ *
+ * Changing `to` while the spring is moving retargets it without losing its velocity.
+ */
+export function useSpring(ref, to, options = {}) {
+  const ticker = useAnimationTicker();
+  const toRef = useLatest(to);
+  const optionsRef = useLatest(options);
+  const springRef = useRef(null);
+  const target = JSON.stringify(to);
+
+  useLayoutEffect(() => {
+    const displayObject = ref.current;
+    if (!displayObject || target === undefined || target === "null") {
+      return;
+    }
+
+    if (!springRef.current) {
+      const { from } = optionsRef.current;
+
+      if (from) {
+        writeChannelValues(displayObject, toChannelValues(from));
+      }
+      springRef.current = createSpring(
+        displayObject,
+        ticker,
+        () => optionsRef.current
+      );
+    }
+    springRef.current.setTarget(toRef.current);
+  }, [ref, ticker, target, toRef, optionsRef]);
+
+  useLayoutEffect(
+    () => () => {
+      if (springRef.current) {
+        springRef.current.stop();
+        springRef.current = null;
+      }
+    },
+    [ticker]
+  );
+}
+
+/**
+ * Renders an element of `type` whose `x`, `y`, `alpha`, `rotation` and `scale` are animated towards `to`:
+ *
+ * ```
+ * <Animated type={TYPE_SPRITE} texture={unit} to={{ x: target.x, y: target.y }} transition={{ duration: 500, easing: "easeInOutQuad" }} />
+ * <Animated type={TYPE_CONTAINER} from={{ alpha: 0 }} to={{ alpha: 1 }} transition={{ type: "spring", stiffness: 120 }} />
+ * ```
+ *
+ * - `transition`: options for `useTween`, or for `useSpring` if it has `type: "spring"`.
+ * - `from`: see `useTween`.
+ * - `onComplete`: called when the tween completes or the spring comes to rest.
+ *
+ * Every other prop is passed to the element. The ref points to the element's display object.
+ */
+export const Animated = forwardRef(function Animated(
+  { type, to, from, transition = {}, onComplete, ...props },
+  forwardedRef
+) {
+  const ref = useRef(null);
+  const { type: transitionType, ...transitionOptions } = transition;
+  const isSpring = transitionType === "spring";
+
+  useImperativeHandle(forwardedRef, () => ref.current);
+  useTween(ref, isSpring ? null : to, {
+    ...transitionOptions,
+    from,
+    onComplete,
+  });
+  useSpring(ref, isSpring ? to : null, {
+    ...transitionOptions,
+    from,
+    onRest: onComplete,
+  });
+
+  return createElement(type, { ...props, ref });
+});
@@ -0,0 +1,187 @@
+import * as PIXI from "pixi.js";
+
+import { Animated, createSpring, startTween } from "./animation";
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER } from "./types";
+
+/**
+ * A ticker which only moves when `advance` is called.
+ */
+function createTicker() {
+  const ticker = new PIXI.Ticker();
+
+  ticker.lastTime = 0;
+  return ticker;
+}
+
+function advance(ticker, ms) {
+  ticker.update(ticker.lastTime + ms);
+}
+
+describe("startTween", () => {
+  test("eases progress towards the target", () => {
+    const ticker = createTicker();
+    const displayObject = new PIXI.Container();
+    const onComplete = jest.fn();
+
+    startTween(displayObject, ticker, [{ x: 100, alpha: 0 }], {
+      duration: 100,
+      easing: "easeInQuad",
+      onComplete,
+    });
+    advance(ticker, 50);
+    expect(displayObject.x).toBe(25);
+    expect(displayObject.alpha).toBe(0.75);
+    expect(onComplete).not.toHaveBeenCalled();
+
+    advance(ticker, 50);
+    expect(displayObject.x).toBe(100);
+    expect(displayObject.alpha).toBe(0);
+    expect(onComplete).toHaveBeenCalledWith(true);
+  });
+
+  test("plays steps in sequence, each after its delay", () => {
+    const ticker = createTicker();
+    const displayObject = new PIXI.Container();
+    const onComplete = jest.fn();
+
+    startTween(
+      displayObject,
+      ticker,
+      [{ x: 100 }, { y: 50, scale: 2, delay: 50 }],
+      { duration: 100, easing: "linear", onComplete }
+    );
+    advance(ticker, 100);
+    expect([displayObject.x, displayObject.y]).toEqual([100, 0]);
+
+    advance(ticker, 50);
+    expect(displayObject.y).toBe(0);
+
+    advance(ticker, 50);
+    expect(displayObject.y).toBe(25);
+    expect([displayObject.scale.x, displayObject.scale.y]).toEqual([1.5, 1.5]);
+
+    advance(ticker, 50);
+    expect(displayObject.y).toBe(50);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete).toHaveBeenCalledWith(true);
+  });
+
+  test("completes unfinished when stopped or when the display object is destroyed", () => {
+    const ticker = createTicker();
+    const displayObject = new PIXI.Container();
+    const onComplete = jest.fn();
+
+    const tween = startTween(displayObject, ticker, [{ x: 100 }], {
+      duration: 100,
+      easing: "linear",
+      onComplete,
+    });
+    advance(ticker, 50);
+    tween.stop();
+    tween.stop();
+    advance(ticker, 50);
+    expect(displayObject.x).toBe(50);
+    expect(onComplete.mock.calls).toEqual([[false]]);
+
+    onComplete.mockClear();
+    startTween(displayObject, ticker, [{ x: 0 }], { onComplete });
+    displayObject.destroy();
+    advance(ticker, 50);
+    expect(onComplete.mock.calls).toEqual([[false]]);
+  });
+});
+
+describe("createSpring", () => {
+  /**
+   * Advances `ticker` a frame at a time until `isDone()` or two seconds have passed. Returns the number of frames.
+   */
+  function advanceUntil(ticker, isDone) {
+    let frames = 0;
+
+    while (!isDone() && frames < 120) {
+      advance(ticker, 1000 / 60);
+      frames++;
+    }
+    return frames;
+  }
+
+  test("comes to rest on its target", () => {
+    const ticker = createTicker();
+    const displayObject = new PIXI.Container();
+    const onRest = jest.fn();
+    const spring = createSpring(displayObject, ticker, () => ({ onRest }));
+
+    spring.setTarget({ x: 100 });
+    advance(ticker, 1000 / 60);
+    expect(displayObject.x).toBeGreaterThan(0);
+    expect(displayObject.x).toBeLessThan(100);
+
+    expect(
+      advanceUntil(ticker, () => onRest.mock.calls.length > 0)
+    ).toBeLessThan(120);
+    expect(displayObject.x).toBe(100);
+
+    advance(ticker, 1000 / 60);
+    expect(onRest).toHaveBeenCalledTimes(1);
+  });
+
+  test("keeps its velocity when retargeted", () => {
+    const ticker = createTicker();
+    const displayObject = new PIXI.Container();
+    const spring = createSpring(displayObject, ticker, () => ({}));
+
+    spring.setTarget({ x: 100 });
+    for (let frame = 0; frame < 5; frame++) {
+      advance(ticker, 1000 / 60);
+    }
+    const position = displayObject.x;
+
+    // Heading back to 0, the spring first overshoots the point where it turned around.
+    spring.setTarget({ x: 0 });
+    advance(ticker, 1000 / 60);
+    expect(displayObject.x).toBeGreaterThan(position);
+
+    advanceUntil(ticker, () => displayObject.x === 0);
+    expect(displayObject.x).toBe(0);
+  });
+});
+
+describe("Animated", () => {
+  test("tweens from where an interrupted tween got to", () => {
+    const ticker = createTicker();
+    const root = createTestRoot({ app: { ticker } });
+    const onComplete = jest.fn();
+    const transition = { duration: 100, easing: "linear" };
+
+    root.render(
+      <Animated
+        type={TYPE_CONTAINER}
+        from={{ x: 0 }}
+        to={{ x: 100 }}
+        transition={transition}
+        onComplete={onComplete}
+      />
+    );
+    const container = root.stage.getChildAt(0);
+    advance(ticker, 50);
+    expect(container.x).toBe(50);
+
+    root.render(
+      <Animated
+        type={TYPE_CONTAINER}
+        to={{ x: 0 }}
+        transition={transition}
+        onComplete={onComplete}
+      />
+    );
+    expect(onComplete.mock.calls).toEqual([[false]]);
+    advance(ticker, 50);
+    expect(container.x).toBe(25);
+    advance(ticker, 50);
+    expect(container.x).toBe(0);
+    expect(onComplete.mock.calls).toEqual([[false], [true]]);
+
+    root.unmount();
+  });
+});
@@ -0,0 +1,103 @@
+import * as PIXI from "pixi.js";
+
+import { hasChanged } from "./props";
+import { TYPE_BATCH } from "./types";
+
+/**
+ * Which sprite properties a `PIXI.ParticleContainer` uploads every frame, as PIXI defaults them. Properties which aren't dynamic are only uploaded when a sprite is first rendered.
+ */
+const PARTICLE_PROPERTY_DEFAULTS = {
+  vertices: false,
+  position: true,
+  rotation: false,
+  uvs: false,
+  tint: false,
+};
+
+/**
+ * The sprites every batch has created, kept across updates so they can be reused when the number of items grows again, and how many of them are shown. The first `shown` sprites are the batch's children, in order.
+ */
+const spritePools = new WeakMap();
+
+/**
+ * Creates the `PIXI.ParticleContainer` of a `particleContainer` or `batch` element. `maxSize` and `batchSize` are only read when the element is created; see `PIXI.ParticleContainer` for their defaults.
+ */
+export function createParticleContainer(props) {
+  const { maxSize, batchSize } = props;
+
+  return new PIXI.ParticleContainer(maxSize, undefined, batchSize);
+}
+
+/**
+ * Applies the props of a `particleContainer` element:
+ *
+ * - `properties`: which sprite properties change from frame to frame, e.g. `{ rotation: true, tint: true }`. Properties not mentioned keep PIXI's defaults: only `position` is dynamic.
+ * - `autoResize`: grow past `maxSize` instead of ignoring the extra sprites.
+ *
+ * Particle containers can only render sprites, and skip their children's filters, masks and children.
+ */
+export function applyParticleContainerProps(container, oldProps, newProps) {
+  if (hasChanged(oldProps, newProps, ["properties"])) {
+    container.setProperties({
+      ...PARTICLE_PROPERTY_DEFAULTS,
+      ...newProps.properties,
+    });
+    // Buffers are laid out for the properties they were created with.
+    container.dispose();
+  }
+  container.autoResize = Boolean(newProps.autoResize);
+}
+
+/**
+ * Shows one pooled sprite for each of the `items` of a `batch` element and calls `render(sprite, item, index)` to set it up. Sprites are reused between updates and items, so `render` should set every property it cares about rather than rely on a fresh sprite's defaults.
+ *
+ * Items are compared like any other prop: a new array holding the same item objects counts as unchanged. Replace the items which changed, as is usual for React state, or pass a new `render`.
+ */
+export function applyBatchItems(container, oldProps, newProps) {
+  if (!hasChanged(oldProps, newProps, ["items", "render"])) {
+    return;
+  }
+
+  const { items = [], render } = newProps;
+  let pool = spritePools.get(container);
+  if (!pool) {
+    pool = { sprites: [], shown: 0 };
+    spritePools.set(container, pool);
+  }
+
+  const { sprites } = pool;
+  while (sprites.length < items.length) {
+    sprites.push(new PIXI.Sprite(PIXI.Texture.WHITE));
+  }
+  if (pool.shown > items.length) {
+    container.removeChildren(items.length, pool.shown);
+  }
+  for (let i = pool.shown; i < items.length; i++) {
+    container.addChild(sprites[i]);
+  }
+  pool.shown = items.length;
+
+  if (render) {
+    items.forEach((item, i) => render(sprites[i], item, i));
+  }
+}
+
+/**
+ * Destroys the pooled sprites of a `batch` element, including those not currently shown.
+ */
+export function destroyBatchSprites(container) {
+  const pool = spritePools.get(container);
+
+  if (pool) {
+    container.removeChildren();
+    pool.sprites.forEach((sprite) => sprite.destroy());
+    spritePools.delete(container);
+  }
+}
+
+/**
+ * The `batch` element type under a component-like name, for `<Batch items={items} render={render} />`. A batch draws thousands of similar objects from data without creating a fiber or display object per item: React only diffs the `items` and `render` props of a single element, see `applyBatchItems`. Its sprites are drawn by a `PIXI.ParticleContainer`, which takes the props of a `particleContainer` element.
+ *
+ * A batch manages its children itself, so rendering React children into it throws.
+ */
+export const Batch = TYPE_BATCH;
@@ -0,0 +1,121 @@
+import { Batch } from "./batch";
+import { createTestRoot } from "./test-utils";
+import { clearTraceLog, configureTracing } from "./tracing";
+import { TYPE_CONTAINER, TYPE_PARTICLE_CONTAINER, TYPE_SPRITE } from "./types";
+
+function renderItem(sprite, item) {
+  sprite.x = item.x;
+}
+
+function itemsAt(...xs) {
+  return xs.map((x) => ({ x }));
+}
+
+test("shows one pooled sprite per item and reuses them", () => {
+  const root = createTestRoot();
+
+  root.render(<Batch items={itemsAt(1, 2, 3)} render={renderItem} />);
+  const batch = root.stage.getChildAt(0);
+  const sprites = [...batch.children];
+  expect(sprites.map((sprite) => sprite.x)).toEqual([1, 2, 3]);
+
+  root.render(<Batch items={itemsAt(4)} render={renderItem} />);
+  expect(batch.children).toHaveLength(1);
+  expect(batch.getChildAt(0)).toBe(sprites[0]);
+
+  root.render(<Batch items={itemsAt(5, 6, 7, 8)} render={renderItem} />);
+  expect(
+    batch.children.slice(0, 3).every((sprite, i) => sprite === sprites[i])
+  ).toBe(true);
+  expect(batch.children.map((sprite) => sprite.x)).toEqual([5, 6, 7, 8]);
+
+  root.unmount();
+  expect(sprites.every((sprite) => sprite.destroyed)).toBe(true);
+});
+
+test("rejects React children", () => {
+  const root = createTestRoot();
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  expect(() =>
+    root.render(
+      <Batch items={itemsAt(1)} render={renderItem}>
+        <TYPE_CONTAINER />
+      </Batch>
+    )
+  ).toThrow("A batch element cannot have children");
+
+  root.unmount();
+  error.mockRestore();
+});
+
+describe("benchmark", () => {
+  const COUNT = 10000;
+  const UPDATES = 5;
+
+  function moveSquares(squares, step) {
+    return squares.map((square) => ({ ...square, x: square.x + step }));
+  }
+
+  function renderSquare(sprite, square) {
+    sprite.position.set(square.x, square.y);
+  }
+
+  function Squares({ squares, mode }) {
+    if (mode === "batch") {
+      return <Batch items={squares} render={renderSquare} maxSize={COUNT} />;
+    }
+    return (
+      <TYPE_PARTICLE_CONTAINER maxSize={COUNT}>
+        {squares.map((square, i) => (
+          <TYPE_SPRITE key={i} x={square.x} y={square.y} />
+        ))}
+      </TYPE_PARTICLE_CONTAINER>
+    );
+  }
+
+  /**
+   * Renders `COUNT` squares, then moves all of them `UPDATES` times. Returns the summary of the last update and the median time an update took.
+   */
+  function measure(mode) {
+    const root = createTestRoot();
+    const onCommit = jest.fn();
+    let squares = Array.from({ length: COUNT }, (_, i) => ({
+      x: i % 100,
+      y: Math.floor(i / 100),
+    }));
+
+    root.render(<Squares squares={squares} mode={mode} />);
+    configureTracing({ enabled: true, methods: [], onCommit });
+    const times = [];
+    for (let step = 1; step <= UPDATES; step++) {
+      squares = moveSquares(squares, step);
+      const start = performance.now();
+      root.render(<Squares squares={squares} mode={mode} />);
+      times.push(performance.now() - start);
+    }
+    configureTracing({ enabled: false, methods: null, onCommit: null });
+    clearTraceLog();
+    root.unmount();
+
+    const [{ created, updated, removed }] = onCommit.mock.calls.at(-1);
+    times.sort((a, b) => a - b);
+    return {
+      summary: { created, updated, removed },
+      time: times[Math.floor(UPDATES / 2)],
+    };
+  }
+
+  test("moving 10000 squares updates one element instead of one per square", () => {
+    const batch = measure("batch");
+    const elements = measure("elements");
+
+    expect(batch.summary).toEqual({ created: 0, updated: 1, removed: 0 });
+    expect(elements.summary).toEqual({
+      created: 0,
+      updated: COUNT,
+      removed: 0,
+    });
+    expect(batch.time).toBeLessThan(elements.time);
+  });
+});
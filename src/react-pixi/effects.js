@@ -0,0 +1,250 @@
+import * as PIXI from "pixi.js";
+
+import { setPoint } from "./props";
+
+/**
+ * Visual effect props. Each of these is only applied to display objects which support it: `blendMode` and `tint` exist on sprites, text and graphics, but not on plain containers.
+ */
+export const EFFECT_PROPS = ["filters", "blendMode", "tint", "mask"];
+
+/**
+ * Color matrix operations which can be given in a `colorMatrix` descriptor, in the order they're applied. Boolean operations are applied when `true`, the others take the amount to pass to the matching `PIXI.filters.ColorMatrixFilter` method.
+ */
+const COLOR_MATRIX_OPERATIONS = [
+  "brightness",
+  "contrast",
+  "saturate",
+  "hue",
+  "greyscale",
+  "desaturate",
+  "negative",
+  "sepia",
+];
+
+/**
+ * Returns the display object `value` points to: `value.current` for a ref, `value` itself for anything else.
+ */
+export function resolveRef(value) {
+  return value && typeof value === "object" && "current" in value
+    ? value.current
+    : value;
+}
+
+/**
+ * Filter descriptors by `type`. `create` returns a new filter for a descriptor, `update` writes a descriptor onto a filter previously created for the same type. Options which are left out fall back to PIXI's defaults.
+ */
+const FILTER_TYPES = {
+  alpha: {
+    create: () => new PIXI.filters.AlphaFilter(),
+    update: (filter, { alpha = 1 }) => {
+      filter.alpha = alpha;
+    },
+  },
+  blur: {
+    create: () => new PIXI.filters.BlurFilter(),
+    update: (filter, { blur = 8, quality = 4 }) => {
+      filter.blur = blur;
+      filter.quality = quality;
+    },
+  },
+  colorMatrix: {
+    create: () => new PIXI.filters.ColorMatrixFilter(),
+    update: (filter, descriptor) => {
+      const { matrix, alpha = 1 } = descriptor;
+
+      if (matrix) {
+        filter.matrix = matrix;
+      } else {
+        filter.reset();
+      }
+      for (const operation of COLOR_MATRIX_OPERATIONS) {
+        const amount = descriptor[operation];
+
+        if (amount === true) {
+          filter[operation](true);
+        } else if (typeof amount === "number") {
+          filter[operation](amount, true);
+        }
+      }
+      filter.alpha = alpha;
+    },
+  },
+  /**
+   * `sprite` is the `PIXI.Sprite` holding the displacement map. It's positioned like any other sprite but never drawn, so it usually comes from `useMemo` rather than from an element.
+   */
+  displacement: {
+    create: ({ sprite }) => new PIXI.filters.DisplacementFilter(sprite),
+    update: (filter, { sprite, scale = 20 }) => {
+      if (filter.maskSprite !== sprite) {
+        sprite.renderable = false;
+        filter.maskSprite = sprite;
+        filter.map = sprite.texture;
+      }
+      setPoint(filter.scale, scale);
+    },
+  },
+  noise: {
+    create: () => new PIXI.filters.NoiseFilter(),
+    update: (filter, { noise = 0.5, seed = filter.seed }) => {
+      filter.noise = noise;
+      filter.seed = seed;
+    },
+  },
+};
+
+/**
+ * Display objects whose `mask` prop is a ref. Their mask is looked up again after every commit, see `updateRefMasks`.
+ */
+const refMasks = new Set();
+
+/**
+ * Per display object effect state: the `filters` and `mask` props last applied, and the filters created for each entry of `filters`. Filter descriptors are matched to the previous render's by position, so a descriptor whose type hasn't changed updates its existing filter instead of creating a new one.
+ */
+const effectStates = new WeakMap();
+
+function getEffectState(displayObject) {
+  let state = effectStates.get(displayObject);
+  if (!state) {
+    state = { filters: [], createdFilters: [], mask: undefined };
+    effectStates.set(displayObject, state);
+  }
+  return state;
+}
+
+function getFilter(entry, previousEntry, previousFilter) {
+  if (entry instanceof PIXI.Filter) {
+    return entry;
+  }
+
+  const filterType = FILTER_TYPES[entry.type];
+  if (!filterType) {
+    throw new Error(`Unknown filter type: ${entry.type}`);
+  }
+
+  const filter =
+    previousEntry &&
+    !(previousEntry instanceof PIXI.Filter) &&
+    previousEntry.type === entry.type
+      ? previousFilter
+      : filterType.create(entry);
+  filterType.update(filter, entry);
+  return filter;
+}
+
+/**
+ * Sets the `filters` prop. Entries are either `PIXI.Filter` instances, which are used as they are, or descriptors such as `{ type: "blur", blur: 4 }`. Filters created from descriptors are destroyed once they're no longer used.
+ */
+function setFilters(displayObject, filters) {
+  const state = getEffectState(displayObject);
+  const createdFilters = filters.map((entry, i) =>
+    getFilter(entry, state.filters[i], state.createdFilters[i])
+  );
+
+  for (let i = 0; i < state.createdFilters.length; i++) {
+    const filter = state.createdFilters[i];
+
+    if (
+      !(state.filters[i] instanceof PIXI.Filter) &&
+      !createdFilters.includes(filter)
+    ) {
+      filter.destroy();
+    }
+  }
+
+  state.filters = filters;
+  state.createdFilters = createdFilters;
+  displayObject.filters = createdFilters.length > 0 ? createdFilters : null;
+}
+
+function resolveMask(mask) {
+  const displayObject = resolveRef(mask);
+
+  return displayObject && !displayObject.destroyed ? displayObject : null;
+}
+
+/**
+ * Sets the `mask` prop, which takes a display object or a ref to one. A ref can point to a different display object after any commit, e.g. when the masking element remounts, so refs are resolved again by `updateRefMasks`.
+ */
+function setMask(displayObject, mask) {
+  const state = getEffectState(displayObject);
+
+  state.mask = mask;
+  displayObject.mask = resolveMask(mask);
+  if (mask !== resolveRef(mask)) {
+    refMasks.add(displayObject);
+  } else {
+    refMasks.delete(displayObject);
+  }
+}
+
+/**
+ * Points every display object whose `mask` prop is a ref at the display object the ref holds now. Called by the reconciler after each commit.
+ */
+export function updateRefMasks() {
+  for (const displayObject of refMasks) {
+    if (displayObject.destroyed) {
+      refMasks.delete(displayObject);
+      continue;
+    }
+
+    const mask = resolveMask(effectStates.get(displayObject).mask);
+    if (displayObject.mask !== mask) {
+      displayObject.mask = mask;
+    }
+  }
+}
+
+/**
+ * Destroys the filters created for `displayObject` from descriptors and forgets its effect state. Called by the reconciler when the display object is unmounted; filters passed as `PIXI.Filter` instances belong to the caller and are left alone.
+ */
+export function clearEffects(displayObject) {
+  const state = effectStates.get(displayObject);
+  if (!state) {
+    return;
+  }
+
+  state.createdFilters.forEach((filter, i) => {
+    if (!(state.filters[i] instanceof PIXI.Filter)) {
+      filter.destroy();
+    }
+  });
+  displayObject.filters = null;
+  effectStates.delete(displayObject);
+  refMasks.delete(displayObject);
+}
+
+/**
+ * Sets the `blendMode` prop, which takes a `PIXI.BLEND_MODES` value or its name, e.g. `"ADD"`.
+ */
+function setBlendMode(displayObject, blendMode = PIXI.BLEND_MODES.NORMAL) {
+  displayObject.blendMode =
+    typeof blendMode === "string"
+      ? PIXI.BLEND_MODES[blendMode.toUpperCase()]
+      : blendMode;
+}
+
+/**
+ * Writes one of `EFFECT_PROPS` onto `displayObject`, falling back to PIXI's default if `value` is `undefined`.
+ */
+export function setEffectProp(displayObject, key, value) {
+  switch (key) {
+    case "filters":
+      setFilters(displayObject, value || []);
+      break;
+    case "mask":
+      setMask(displayObject, value);
+      break;
+    case "blendMode":
+      if ("blendMode" in displayObject) {
+        setBlendMode(displayObject, value);
+      }
+      break;
+    case "tint":
+      if ("tint" in displayObject) {
+        displayObject.tint = value === undefined ? 0xffffff : value;
+      }
+      break;
+    default:
+      break;
+  }
+}
@@ -0,0 +1,83 @@
+import * as PIXI from "pixi.js";
+import { useRef } from "react";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_RECTANGLE, TYPE_SPRITE } from "./types";
+
+// Ref masks are resolved once more in a microtask after each commit.
+const refsAttached = () => Promise.resolve();
+
+function Masked({ maskKey, masked = true }) {
+  const mask = useRef(null);
+
+  return (
+    <TYPE_CONTAINER>
+      <TYPE_RECTANGLE key={maskKey} ref={mask} width={10} height={10} />
+      <TYPE_SPRITE mask={masked ? mask : undefined} />
+    </TYPE_CONTAINER>
+  );
+}
+
+describe("mask", () => {
+  test("follows a ref to a mask which remounts", async () => {
+    const root = createTestRoot();
+
+    root.render(<Masked maskKey="a" />);
+    await refsAttached();
+    const [first, sprite] = root.stage.getChildAt(0).children;
+    expect(sprite.mask).toBe(first);
+
+    root.render(<Masked maskKey="b" />);
+    await refsAttached();
+    const second = root.stage.getChildAt(0).getChildAt(0);
+    expect(first.destroyed).toBe(true);
+    expect(second).not.toBe(first);
+    expect(sprite.mask).toBe(second);
+
+    root.render(<Masked maskKey="b" masked={false} />);
+    await refsAttached();
+    expect(sprite.mask).toBe(null);
+
+    root.unmount();
+  });
+});
+
+describe("filters", () => {
+  test("destroys the filters it created when the element unmounts", () => {
+    const root = createTestRoot();
+    const own = new PIXI.filters.AlphaFilter();
+    const destroyOwn = jest.spyOn(own, "destroy");
+
+    root.render(
+      <TYPE_CONTAINER>
+        <TYPE_SPRITE filters={[{ type: "blur", blur: 2 }, own]} />
+      </TYPE_CONTAINER>
+    );
+    const sprite = root.stage.getChildAt(0).getChildAt(0);
+    const [blur] = sprite.filters;
+    const destroyBlur = jest.spyOn(blur, "destroy");
+    expect(blur).toBeInstanceOf(PIXI.filters.BlurFilter);
+
+    root.render(<TYPE_CONTAINER />);
+    expect(sprite.destroyed).toBe(true);
+    expect(destroyBlur).toHaveBeenCalledTimes(1);
+    expect(destroyOwn).not.toHaveBeenCalled();
+
+    root.unmount();
+  });
+
+  test("accepts the same scale values as other point props", () => {
+    const root = createTestRoot();
+    const map = new PIXI.Sprite();
+
+    root.render(
+      <TYPE_SPRITE
+        filters={[{ type: "displacement", sprite: map, scale: [3, 4] }]}
+      />
+    );
+    const [displacement] = root.stage.getChildAt(0).filters;
+    expect([displacement.scale.x, displacement.scale.y]).toEqual([3, 4]);
+
+    root.unmount();
+  });
+});
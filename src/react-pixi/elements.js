@@ -0,0 +1,204 @@
+import * as PIXI from "pixi.js";
+
+import {
+  applyBatchItems,
+  applyParticleContainerProps,
+  createParticleContainer,
+  destroyBatchSprites,
+} from "./batch";
+import { applyDisplayObjectProps, hasChanged, setPoint } from "./props";
+import { PixiComponent } from "./registry";
+import {
+  applyRenderTextureProps,
+  RenderTextureContainer,
+} from "./renderTexture";
+import { drawShape, getShapeProps } from "./shapes";
+import { applyAnimationProps } from "./spritesheet";
+import {
+  TYPE_ANIMATED_SPRITE,
+  TYPE_BATCH,
+  TYPE_CIRCLE,
+  TYPE_CONTAINER,
+  TYPE_ELLIPSE,
+  TYPE_GRAPHICS,
+  TYPE_LINE,
+  TYPE_PARTICLE_CONTAINER,
+  TYPE_POLYGON,
+  TYPE_RECTANGLE,
+  TYPE_RENDER_TEXTURE,
+  TYPE_ROUNDED_RECT,
+  TYPE_SPRITE,
+  TYPE_TEXT,
+  TYPE_VIEWPORT,
+} from "./types";
+import { applyViewportProps, ViewportContainer } from "./viewport";
+
+/**
+ * The built-in element types, registered through the same `PixiComponent` API that's available for custom elements.
+ */
+
+/**
+ * Returns a `canHydrate` function which accepts display objects of exactly `DisplayObjectClass`, so that e.g. a `PIXI.Text` isn't mistaken for a sprite.
+ */
+function isInstanceOf(DisplayObjectClass) {
+  return (instance) => instance.constructor === DisplayObjectClass;
+}
+
+function applyAnchor(instance, oldProps, newProps) {
+  if (hasChanged(oldProps, newProps, ["anchor"])) {
+    const { anchor = 0 } = newProps;
+
+    setPoint(instance.anchor, anchor);
+  }
+}
+
+PixiComponent(TYPE_CONTAINER, {
+  create: () => new PIXI.Container(),
+  canHydrate: isInstanceOf(PIXI.Container),
+});
+
+/**
+ * Draws a `graphics` element by handing its `PIXI.Graphics` to the `draw` prop, after clearing whatever the previous `draw` produced.
+ */
+PixiComponent(TYPE_GRAPHICS, {
+  create: () => new PIXI.Graphics(),
+  canHydrate: isInstanceOf(PIXI.Graphics),
+  applyProps: (graphics, oldProps, newProps) => {
+    if (hasChanged(oldProps, newProps, ["draw"])) {
+      const { draw } = newProps;
+
+      graphics.clear();
+      if (draw) {
+        draw(graphics);
+      }
+    }
+    applyDisplayObjectProps(graphics, oldProps, newProps);
+  },
+});
+
+for (const type of [
+  TYPE_RECTANGLE,
+  TYPE_ROUNDED_RECT,
+  TYPE_CIRCLE,
+  TYPE_ELLIPSE,
+  TYPE_POLYGON,
+  TYPE_LINE,
+]) {
+  PixiComponent(type, {
+    create: () => new PIXI.Graphics(),
+    canHydrate: isInstanceOf(PIXI.Graphics),
+    applyProps: (graphics, oldProps, newProps) => {
+      if (hasChanged(oldProps, newProps, getShapeProps(type))) {
+        drawShape(graphics, type, newProps);
+      }
+      applyDisplayObjectProps(graphics, oldProps, newProps);
+    },
+  });
+}
+
+/**
+ * Props which determine the texture shown by a sprite. `texture` takes a `PIXI.Texture` and wins over `image`, which takes a URL or anything else accepted by `PIXI.Texture.from`.
+ */
+const SPRITE_TEXTURE_PROPS = ["texture", "image"];
+
+function getSpriteTexture(props) {
+  const { texture, image } = props;
+
+  if (texture) {
+    return texture;
+  }
+  if (image) {
+    return PIXI.Texture.from(image);
+  }
+  return PIXI.Texture.EMPTY;
+}
+
+PixiComponent(TYPE_SPRITE, {
+  create: () => new PIXI.Sprite(),
+  canHydrate: isInstanceOf(PIXI.Sprite),
+  applyProps: (sprite, oldProps, newProps) => {
+    if (hasChanged(oldProps, newProps, SPRITE_TEXTURE_PROPS)) {
+      sprite.texture = getSpriteTexture(newProps);
+    }
+    applyAnchor(sprite, oldProps, newProps);
+    applyDisplayObjectProps(sprite, oldProps, newProps);
+  },
+});
+
+/**
+ * Plays frames from a sprite sheet, see `./spritesheet.js`. `PIXI.AnimatedSprite` can't be created without frames, so it starts out with an empty one.
+ */
+PixiComponent(TYPE_ANIMATED_SPRITE, {
+  create: () => new PIXI.AnimatedSprite([PIXI.Texture.EMPTY]),
+  canHydrate: isInstanceOf(PIXI.AnimatedSprite),
+  applyProps: (sprite, oldProps, newProps) => {
+    applyAnimationProps(sprite, oldProps, newProps);
+    applyAnchor(sprite, oldProps, newProps);
+    applyDisplayObjectProps(sprite, oldProps, newProps);
+  },
+});
+
+/**
+ * The text itself comes from the element's children, see `./text.js`.
+ */
+PixiComponent(TYPE_TEXT, {
+  create: () => {
+    const text = new PIXI.Text("");
+    text.textNodes = [];
+
+    return text;
+  },
+  canHydrate: isInstanceOf(PIXI.Text),
+  applyProps: (text, oldProps, newProps) => {
+    if (hasChanged(oldProps, newProps, ["style"])) {
+      text.style = newProps.style;
+    }
+    applyAnchor(text, oldProps, newProps);
+    applyDisplayObjectProps(text, oldProps, newProps);
+  },
+});
+
+/**
+ * Renders many sprite children in a handful of draw calls, see `./batch.js`.
+ */
+PixiComponent(TYPE_PARTICLE_CONTAINER, {
+  create: createParticleContainer,
+  canHydrate: isInstanceOf(PIXI.ParticleContainer),
+  applyProps: (container, oldProps, newProps) => {
+    applyParticleContainerProps(container, oldProps, newProps);
+    applyDisplayObjectProps(container, oldProps, newProps);
+  },
+});
+
+/**
+ * A particle container whose sprites come from data rather than from elements, see `./batch.js`.
+ */
+PixiComponent(TYPE_BATCH, {
+  create: createParticleContainer,
+  applyProps: (container, oldProps, newProps) => {
+    applyParticleContainerProps(container, oldProps, newProps);
+    applyBatchItems(container, oldProps, newProps);
+    applyDisplayObjectProps(container, oldProps, newProps);
+  },
+  willUnmount: destroyBatchSprites,
+});
+
+/**
+ * Draws its children into a texture instead of onto the screen, see `./renderTexture.js`.
+ */
+PixiComponent(TYPE_RENDER_TEXTURE, {
+  create: () => new RenderTextureContainer(),
+  applyProps: (container, oldProps, newProps) => {
+    applyRenderTextureProps(container, oldProps, newProps);
+    applyDisplayObjectProps(container, oldProps, newProps);
+  },
+});
+
+/**
+ * A container seen through a camera, see `./viewport.js`.
+ */
+PixiComponent(TYPE_VIEWPORT, {
+  create: () => new ViewportContainer(),
+  canHydrate: isInstanceOf(ViewportContainer),
+  applyProps: applyViewportProps,
+});
@@ -0,0 +1,160 @@
+import {
+  ContinuousEventPriority,
+  DefaultEventPriority,
+  DiscreteEventPriority,
+} from "react-reconciler/constants";
+
+import { findRootTicker, withBatchingTicker } from "./scheduling";
+
+/**
+ * Event handler props, mapped to the PIXI interaction event they listen to. `onClick` uses `pointertap` so that it fires for mouse, touch and pen alike.
+ */
+export const EVENT_PROPS = {
+  onClick: "pointertap",
+  onPointerDown: "pointerdown",
+  onPointerUp: "pointerup",
+  onPointerUpOutside: "pointerupoutside",
+  onPointerMove: "pointermove",
+  onPointerOver: "pointerover",
+  onPointerOut: "pointerout",
+};
+
+/**
+ * The React update priority for updates scheduled while handling each PIXI event. Events the user triggers one at a time are discrete; events which fire in a stream are continuous.
+ */
+const EVENT_PRIORITIES = {
+  pointertap: DiscreteEventPriority,
+  pointerdown: DiscreteEventPriority,
+  pointerup: DiscreteEventPriority,
+  pointerupoutside: DiscreteEventPriority,
+  pointermove: ContinuousEventPriority,
+  pointerover: ContinuousEventPriority,
+  pointerout: ContinuousEventPriority,
+};
+
+/**
+ * The name of the PIXI event whose handler is currently running, if any.
+ */
+let activeEvent = null;
+
+/**
+ * Per display object interaction state: the current handler for each event prop, the listener registered with PIXI for each event, the `cursor` prop, whether the object has accessibility props and whether it's a viewport which can be dragged.
+ *
+ * A single listener is registered per event and looks up the current handler when it fires. That way passing a new inline function on every render doesn't add and remove PIXI listeners.
+ */
+const interactionStates = new WeakMap();
+
+function getInteractionState(displayObject) {
+  let state = interactionStates.get(displayObject);
+  if (!state) {
+    state = {
+      handlers: {},
+      listeners: {},
+      cursor: undefined,
+      accessible: false,
+      draggable: false,
+    };
+    interactionStates.set(displayObject, state);
+  }
+  return state;
+}
+
+/**
+ * Makes the display object interactive while it has any handlers, a cursor, accessibility props or can be dragged, as PIXI's accessibility plugin skips objects which aren't interactive. The cursor defaults to a pointer when there is an `onClick` handler, just like setting `buttonMode`.
+ */
+function syncInteractivity(displayObject, state) {
+  const hasHandlers = Object.keys(state.handlers).length > 0;
+
+  displayObject.interactive =
+    hasHandlers ||
+    state.cursor !== undefined ||
+    state.accessible ||
+    state.draggable;
+  if (state.cursor !== undefined) {
+    displayObject.cursor = state.cursor;
+  } else {
+    displayObject.cursor = state.handlers.onClick ? "pointer" : null;
+  }
+}
+
+function createListener(displayObject, state, propName, eventName) {
+  const handle = (event) => {
+    const previousEvent = activeEvent;
+    activeEvent = eventName;
+    try {
+      state.handlers[propName](event);
+    } finally {
+      activeEvent = previousEvent;
+    }
+  };
+
+  return (event) => {
+    const ticker = findRootTicker(displayObject);
+    if (ticker) {
+      withBatchingTicker(ticker, () => handle(event));
+    } else {
+      handle(event);
+    }
+  };
+}
+
+/**
+ * Sets or, if `handler` is `undefined`, removes the handler for an event prop.
+ */
+export function setEventHandler(displayObject, propName, handler) {
+  const state = getInteractionState(displayObject);
+  const eventName = EVENT_PROPS[propName];
+
+  if (handler) {
+    if (!state.listeners[eventName]) {
+      state.listeners[eventName] = createListener(
+        displayObject,
+        state,
+        propName,
+        eventName
+      );
+      displayObject.on(eventName, state.listeners[eventName]);
+    }
+    state.handlers[propName] = handler;
+  } else if (state.listeners[eventName]) {
+    displayObject.off(eventName, state.listeners[eventName]);
+    delete state.listeners[eventName];
+    delete state.handlers[propName];
+  }
+
+  syncInteractivity(displayObject, state);
+}
+
+export function setCursor(displayObject, cursor) {
+  const state = getInteractionState(displayObject);
+
+  state.cursor = cursor;
+  syncInteractivity(displayObject, state);
+}
+
+/**
+ * Keeps the display object interactive while `accessible` is `true`, see `./accessibility.js`.
+ */
+export function setAccessible(displayObject, accessible) {
+  const state = getInteractionState(displayObject);
+
+  state.accessible = accessible;
+  syncInteractivity(displayObject, state);
+}
+
+/**
+ * Keeps the display object interactive while `draggable` is `true`, as dragging a viewport needs pointer events, see `./viewport.js`.
+ */
+export function setDraggable(displayObject, draggable) {
+  const state = getInteractionState(displayObject);
+
+  state.draggable = draggable;
+  syncInteractivity(displayObject, state);
+}
+
+/**
+ * Returns the React update priority for the PIXI event currently being handled, or `DefaultEventPriority` outside of an event handler.
+ */
+export function getActiveEventPriority() {
+  return activeEvent ? EVENT_PRIORITIES[activeEvent] : DefaultEventPriority;
+}
@@ -0,0 +1,62 @@
+import { useState } from "react";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_RECTANGLE } from "./types";
+
+test("swaps handlers without adding PIXI listeners", () => {
+  const root = createTestRoot();
+  const first = jest.fn();
+  const second = jest.fn();
+
+  root.render(<TYPE_RECTANGLE onClick={first} />);
+  const [rectangle] = root.stage.children;
+  expect(rectangle.interactive).toBe(true);
+  expect(rectangle.cursor).toBe("pointer");
+
+  root.render(<TYPE_RECTANGLE onClick={second} />);
+  root.fireEvent(rectangle, "pointertap");
+  expect(first).not.toHaveBeenCalled();
+  expect(second).toHaveBeenCalledTimes(1);
+  expect(rectangle.listeners("pointertap")).toHaveLength(1);
+
+  root.render(<TYPE_RECTANGLE onPointerMove={first} />);
+  root.fireEvent(rectangle, "pointertap");
+  expect(second).toHaveBeenCalledTimes(1);
+  expect(rectangle.listeners("pointertap")).toHaveLength(0);
+  expect(rectangle.cursor).toBe(null);
+
+  root.render(<TYPE_RECTANGLE />);
+  expect(rectangle.interactive).toBe(false);
+  expect(rectangle.listeners("pointermove")).toHaveLength(0);
+
+  root.unmount();
+});
+
+test("bubbles events and commits the updates they make", () => {
+  const root = createTestRoot();
+  const calls = [];
+
+  function Counter() {
+    const [count, setCount] = useState(0);
+
+    return (
+      <TYPE_CONTAINER onClick={() => calls.push("container")}>
+        <TYPE_RECTANGLE
+          x={count}
+          onClick={(event) => {
+            calls.push(event.data.global.x);
+            setCount(count + 1);
+          }}
+        />
+      </TYPE_CONTAINER>
+    );
+  }
+
+  root.render(<Counter />);
+  const [rectangle] = root.queryAllByType(TYPE_RECTANGLE);
+  root.fireEvent(rectangle, "pointertap", { x: 7 });
+  expect(calls).toEqual([7, "container"]);
+  expect(rectangle.x).toBe(1);
+
+  root.unmount();
+});
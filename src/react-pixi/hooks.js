@@ -0,0 +1,105 @@
+import * as PIXI from "pixi.js";
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+} from "react";
+
+/**
+ * The `PIXI.Application` which owns the tree. Provided by `Stage`, by roots created with the `app` option and by `AppProvider`.
+ */
+export const AppContext = createContext(null);
+
+/**
+ * Makes `app` available to `useApp`, `useTick` and everything else which needs the application, for trees that aren't rendered by a `Stage`. Roots from `createRoot` and `hydrateRoot` can use the `app` option instead; this is mostly for `ReactPixi.render`.
+ */
+export function AppProvider({ app, children }) {
+  return <AppContext.Provider value={app}>{children}</AppContext.Provider>;
+}
+
+/**
+ * Loading state for every texture requested through `useTexture`, keyed by URL. Entries are kept for the lifetime of the page so that a component which suspends finds the texture ready when React retries it.
+ */
+const textureCache = new Map();
+
+function loadTexture(url) {
+  const entry = { status: "pending", texture: null, error: null };
+
+  entry.promise = PIXI.Texture.fromURL(url).then(
+    (texture) => {
+      entry.status = "resolved";
+      entry.texture = texture;
+    },
+    (error) => {
+      entry.status = "rejected";
+      entry.error = error;
+    }
+  );
+
+  return entry;
+}
+
+/**
+ * Returns the texture for `url`, loading it if necessary.
+ *
+ * While the texture is loading this throws a promise, so the component suspends and the nearest `<Suspense>` boundary shows its fallback. If loading fails the error is thrown to the nearest error boundary.
+ */
+export function useTexture(url) {
+  let entry = textureCache.get(url);
+  if (!entry) {
+    entry = loadTexture(url);
+    textureCache.set(url, entry);
+  }
+
+  switch (entry.status) {
+    case "resolved":
+      return entry.texture;
+    case "rejected":
+      throw entry.error;
+    default:
+      throw entry.promise;
+  }
+}
+
+/**
+ * Returns the `PIXI.Application` of the enclosing `Stage`, of the root if it was created with the `app` option, or of the nearest `AppProvider`.
+ */
+export function useApp() {
+  const app = useContext(AppContext);
+  if (!app) {
+    throw new Error(
+      "useApp must be used inside a Stage, an AppProvider or a root created with the app option"
+    );
+  }
+  return app;
+}
+
+/**
+ * Calls `callback(delta, ticker)` on every frame of the application's ticker while `enabled` is `true`. `delta` is the frame time scaled by the ticker's speed, as passed to `PIXI.Ticker` listeners.
+ *
+ * The latest `callback` is always used, so it's fine to pass an inline function.
+ */
+export function useTick(callback, enabled = true) {
+  const app = useApp();
+  const callbackRef = useRef(callback);
+
+  useLayoutEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const { ticker } = app;
+    const tick = (delta) => callbackRef.current(delta, ticker);
+    ticker.add(tick);
+
+    return () => {
+      ticker.remove(tick);
+    };
+  }, [app, enabled]);
+}
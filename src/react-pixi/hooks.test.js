@@ -0,0 +1,70 @@
+import * as PIXI from "pixi.js";
+
+import ReactPixi, { AppProvider, useApp, useTick } from "./index";
+import { act, createTestRoot } from "./test-utils";
+import { TYPE_TEXT } from "./types";
+
+function createApp() {
+  return {
+    name: "app",
+    stage: new PIXI.Container(),
+    ticker: new PIXI.Ticker(),
+  };
+}
+
+function Ticking({ onTick }) {
+  const app = useApp();
+
+  useTick(onTick);
+  return <TYPE_TEXT>{app.name}</TYPE_TEXT>;
+}
+
+test("roots created with the app option provide it to the hooks", () => {
+  const app = createApp();
+  const onTick = jest.fn();
+  const root = createTestRoot({ app });
+
+  root.render(<Ticking onTick={onTick} />);
+  expect(root.stage.getChildAt(0).text).toBe("app");
+
+  app.ticker.update(1000);
+  expect(onTick).toHaveBeenCalledWith(expect.any(Number), app.ticker);
+
+  root.unmount();
+  expect(app.ticker.count).toBe(0);
+});
+
+test("AppProvider provides the app to trees rendered with ReactPixi.render", () => {
+  const app = createApp();
+  const onTick = jest.fn();
+
+  const mount = () =>
+    ReactPixi.render(
+      <AppProvider app={app}>
+        <Ticking onTick={onTick} />
+      </AppProvider>,
+      app.stage
+    );
+
+  act(mount);
+  expect(app.stage.getChildAt(0).text).toBe("app");
+
+  app.ticker.update(1000);
+  expect(onTick).toHaveBeenCalledTimes(1);
+
+  act(() => {
+    ReactPixi.unmount(app.stage);
+  });
+  expect(app.ticker.count).toBe(0);
+});
+
+test("useApp throws without an application", () => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  const root = createTestRoot();
+
+  expect(() => root.render(<Ticking onTick={() => {}} />)).toThrow(
+    "useApp must be used inside a Stage"
+  );
+  root.unmount();
+  error.mockRestore();
+});
@@ -0,0 +1,106 @@
+import * as PIXI from "pixi.js";
+import { useState } from "react";
+
+import ReactPixi, { hydrateRoot } from "./index";
+import { act, fireEvent, installHeadlessCanvas } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_RECTANGLE, TYPE_TEXT } from "./types";
+
+beforeAll(installHeadlessCanvas);
+
+function Scoreboard({ score, onClick }) {
+  return (
+    <TYPE_CONTAINER x={10}>
+      <TYPE_RECTANGLE width={20} height={5} onClick={onClick} />
+      <TYPE_TEXT>Score: {score}</TYPE_TEXT>
+    </TYPE_CONTAINER>
+  );
+}
+
+function Counter({ initialScore }) {
+  const [score, setScore] = useState(initialScore);
+
+  return <Scoreboard score={score} onClick={() => setScore(score + 1)} />;
+}
+
+function buildScoreboard(text) {
+  const stage = new PIXI.Container();
+  const container = stage.addChild(new PIXI.Container());
+  container.x = 10;
+  const graphics = container.addChild(new PIXI.Graphics());
+  const label = container.addChild(new PIXI.Text(text));
+
+  return { stage, container, graphics, label };
+}
+
+test("hydrateRoot takes over a matching scene", () => {
+  const { stage, container, graphics, label } = buildScoreboard("Score: 3");
+  const error = jest.spyOn(console, "error");
+  let root;
+
+  act(() => {
+    root = hydrateRoot(stage, <Counter initialScore={3} />);
+  });
+  expect(stage.children[0]).toBe(container);
+  expect(container.children[0]).toBe(graphics);
+  expect(container.children[1]).toBe(label);
+  expect(container.x).toBe(10);
+  expect(graphics.getLocalBounds().width).toBe(20);
+  expect(graphics.interactive).toBe(true);
+  expect(error).not.toHaveBeenCalled();
+
+  fireEvent(graphics, "pointertap");
+  expect(label.text).toBe("Score: 4");
+
+  act(() => {
+    root.unmount();
+  });
+  expect(container.destroyed).toBe(true);
+  error.mockRestore();
+});
+
+test("hydrateRoot renders from scratch after a mismatch", () => {
+  const stage = new PIXI.Container();
+  const sprite = stage.addChild(new PIXI.Sprite());
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  let root;
+
+  act(() => {
+    root = hydrateRoot(stage, <TYPE_CONTAINER />);
+  });
+  expect(stage.children).toHaveLength(1);
+  expect(stage.children[0]).toBeInstanceOf(PIXI.Container);
+  expect(stage.children[0]).not.toBe(sprite);
+  expect(error).toHaveBeenCalled();
+
+  act(() => {
+    root.unmount();
+  });
+  error.mockRestore();
+});
+
+test("ReactPixi.hydrate keeps what matches and replaces the rest", () => {
+  const { stage, container, graphics, label } = buildScoreboard("Score: 8");
+  const extra = container.addChild(new PIXI.Sprite());
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  act(() => {
+    ReactPixi.hydrate(<Scoreboard score={3} />, stage);
+  });
+  expect(stage.children[0]).toBe(container);
+  expect(container.children).toHaveLength(2);
+  expect(container.children[0]).toBe(graphics);
+  expect(container.children[1]).toBe(label);
+  expect(label.text).toBe("Score: 3");
+  expect(extra.destroyed).toBe(true);
+  expect(error.mock.calls.map(([message]) => message)).toEqual([
+    'Warning: Text content did not match. Existing: "Score: 8" React: "Score: "',
+    'Warning: Text content did not match. Existing: "" React: "3"',
+    "Warning: Did not expect the existing PIXI.Sprite in <container>.",
+  ]);
+
+  act(() => {
+    ReactPixi.unmount(stage);
+  });
+  expect(container.destroyed).toBe(true);
+  error.mockRestore();
+});
@@ -0,0 +1,119 @@
+import * as PIXI from "pixi.js";
+import { LegacyRoot } from "react-reconciler/constants";
+
+import reconciler from "./reconciler";
+import { createContainerRoot, unmountContainerRoot } from "./root";
+
+/**
+ * Image formats `renderToImage` can produce.
+ */
+const IMAGE_FORMATS = ["png", "jpeg"];
+
+/**
+ * Resolves once every texture in the tree which is still loading has loaded. Rejects if any of them fails to load.
+ */
+function waitForTextures(displayObject) {
+  const pending = [];
+
+  function visit(node) {
+    const { texture, children = [] } = node;
+    const baseTexture = texture && texture.baseTexture;
+
+    if (baseTexture && !baseTexture.valid && baseTexture.resource) {
+      pending.push(
+        new Promise((resolve, reject) => {
+          const onLoaded = () => {
+            baseTexture.off("error", onError);
+            resolve();
+          };
+          const onError = () => {
+            baseTexture.off("loaded", onLoaded);
+            reject(
+              new Error(`Failed to load texture ${baseTexture.resource.url}`)
+            );
+          };
+
+          baseTexture.once("loaded", onLoaded);
+          baseTexture.once("error", onError);
+        })
+      );
+    }
+    children.forEach(visit);
+  }
+
+  visit(displayObject);
+  return Promise.all(pending);
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Failed to encode image")),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * Renders `element` offscreen and resolves with a picture of it, e.g. for thumbnails. The element is rendered into a fresh root of its own which is unmounted again once the picture is taken, after waiting for any textures it shows to load. `RenderTexture` elements are drawn too. Components which suspend show their fallback, and `useApp` isn't available as there's no `Stage`.
+ *
+ * - `width`, `height`: size of the picture in pixels, before `resolution`. Defaults to 800 by 600.
+ * - `resolution`: defaults to `1`.
+ * - `format`: `png` (the default) or `jpeg`.
+ * - `quality`: JPEG quality between 0 and 1.
+ * - `output`: `dataURL` (the default) or `blob`.
+ * - `renderer`: the renderer to draw with. By default a new one is created with `PIXI.autoDetectRenderer` and destroyed afterwards. Where WebGL isn't available, e.g. in Node with a canvas implementation, pass a `CanvasRenderer` from `pixi.js-legacy`.
+ */
+export async function renderToImage(element, options = {}) {
+  const {
+    width = 800,
+    height = 600,
+    resolution = 1,
+    format = "png",
+    quality,
+    output = "dataURL",
+  } = options;
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(
+      `renderToImage cannot produce ${format} images, use one of: ${IMAGE_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const renderer =
+    options.renderer ||
+    PIXI.autoDetectRenderer({ width, height, resolution, backgroundAlpha: 0 });
+  const container = new PIXI.Container();
+  const renderTexture = PIXI.RenderTexture.create({
+    width,
+    height,
+    resolution,
+  });
+
+  try {
+    const rootContainer = createContainerRoot(container, LegacyRoot);
+    reconciler.updateContainer(element, rootContainer, null);
+    reconciler.flushSync();
+    await waitForTextures(container);
+
+    // The first render lets `RenderTexture` elements find the renderer, so their textures are drawn by the second.
+    renderer.render(container, { renderTexture });
+    renderer.render(container, { renderTexture });
+
+    const canvas = renderer.plugins.extract.canvas(renderTexture);
+    const type = `image/${format}`;
+    return output === "blob"
+      ? await toBlob(canvas, type, quality)
+      : canvas.toDataURL(type, quality);
+  } finally {
+    unmountContainerRoot(container);
+    container.destroy({ children: true });
+    renderTexture.destroy(true);
+    if (!options.renderer) {
+      renderer.destroy();
+    }
+  }
+}
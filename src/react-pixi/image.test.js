@@ -0,0 +1,128 @@
+import * as PIXI from "pixi.js";
+import { useLayoutEffect } from "react";
+
+import { renderToImage } from "./image";
+import { TYPE_CONTAINER } from "./types";
+
+/**
+ * A renderer which draws nothing. `extract` records the size of the texture it's asked for and hands out a stand-in canvas, which encodes images as `data:<type>;<quality>` or as `{ type, quality }` blobs.
+ */
+class StubRenderer {
+  constructor() {
+    this.render = jest.fn();
+    this.destroy = jest.fn();
+    this.extracted = [];
+    this.canvas = {
+      toDataURL: (type, quality) => `data:${type};${quality}`,
+      toBlob: (callback, type, quality) => callback({ type, quality }),
+    };
+    this.plugins = {
+      extract: {
+        canvas: (renderTexture) => {
+          this.extracted.push([
+            renderTexture.width,
+            renderTexture.height,
+            renderTexture.baseTexture.resolution,
+          ]);
+          return this.canvas;
+        },
+      },
+    };
+  }
+}
+
+/**
+ * Reports the display object it renders once it has mounted, and when it unmounts.
+ */
+function Probe({ onMount, onUnmount }) {
+  useLayoutEffect(() => onUnmount, [onUnmount]);
+  return <TYPE_CONTAINER ref={onMount} />;
+}
+
+test("rejects formats it can't produce", async () => {
+  const renderer = new StubRenderer();
+
+  await expect(
+    renderToImage(<TYPE_CONTAINER />, { renderer, format: "gif" })
+  ).rejects.toThrow(
+    "renderToImage cannot produce gif images, use one of: png, jpeg"
+  );
+  expect(renderer.render).not.toHaveBeenCalled();
+});
+
+test("resolves with a data URL by default", async () => {
+  const renderer = new StubRenderer();
+
+  await expect(
+    renderToImage(<TYPE_CONTAINER />, {
+      renderer,
+      width: 40,
+      height: 30,
+      resolution: 2,
+      format: "jpeg",
+      quality: 0.5,
+    })
+  ).resolves.toBe("data:image/jpeg;0.5");
+
+  expect(renderer.extracted).toEqual([[40, 30, 2]]);
+  const [[container, { renderTexture }]] = renderer.render.mock.calls;
+  expect(container).toBeInstanceOf(PIXI.Container);
+  // The texture is destroyed along with the root, and the renderer passed in is left alone.
+  expect(renderTexture.baseTexture).toBe(null);
+  expect(renderer.destroy).not.toHaveBeenCalled();
+});
+
+test("resolves with a blob for the blob output", async () => {
+  const renderer = new StubRenderer();
+
+  await expect(
+    renderToImage(<TYPE_CONTAINER />, {
+      renderer,
+      output: "blob",
+      quality: 0.8,
+    })
+  ).resolves.toEqual({ type: "image/png", quality: 0.8 });
+
+  renderer.canvas.toBlob = (callback) => callback(null);
+  await expect(
+    renderToImage(<TYPE_CONTAINER />, { renderer, output: "blob" })
+  ).rejects.toThrow("Failed to encode image");
+});
+
+test.each([
+  ["it resolves", () => {}, "data:image/png;undefined"],
+  [
+    "rendering throws",
+    () => {
+      throw new Error("Lost the context");
+    },
+    "Lost the context",
+  ],
+])(
+  "unmounts the element and destroys its container when %s",
+  async (_, render, outcome) => {
+    const renderer = new StubRenderer();
+    const onUnmount = jest.fn();
+    let displayObject;
+    let container;
+
+    renderer.render.mockImplementation(render);
+    const settled = renderToImage(
+      <Probe
+        onMount={(node) => {
+          if (node) {
+            displayObject = node;
+            container = node.parent;
+          }
+        }}
+        onUnmount={onUnmount}
+      />,
+      { renderer }
+    ).catch((error) => error.message);
+
+    await expect(settled).resolves.toBe(outcome);
+    expect(onUnmount).toHaveBeenCalledTimes(1);
+    expect(displayObject.destroyed).toBe(true);
+    expect(container.destroyed).toBe(true);
+  }
+);
@@ -0,0 +1,265 @@
+import type * as PIXI from "pixi.js";
+import type {
+  Context,
+  ForwardRefExoticComponent,
+  ReactNode,
+  RefAttributes,
+  RefObject,
+} from "react";
+
+import type {
+  BatchProps,
+  CameraState,
+  DisplayObjectProps,
+  PixiElementType,
+  PointLike,
+  TilemapProps,
+  TYPE_RENDER_TEXTURE,
+} from "./types";
+
+export * from "./types";
+
+export interface RootOptions {
+  isStrictMode?: boolean;
+  identifierPrefix?: string;
+  onRecoverableError?: (error: unknown) => void;
+  app?: PIXI.Application | null;
+  batchToTicker?: PIXI.Ticker | null;
+}
+
+export interface Root {
+  render(element: ReactNode, callback?: () => void): void;
+  unmount(): void;
+}
+
+export function createRoot(
+  container: PIXI.Container,
+  options?: RootOptions
+): Root;
+
+export function hydrateRoot(
+  container: PIXI.Container,
+  element: ReactNode,
+  options?: RootOptions
+): Root;
+
+export interface PixiComponentDefinition<P, T extends PIXI.DisplayObject> {
+  create(props: P, rootContainer: PIXI.Container): T;
+  applyProps?(instance: T, oldProps: Partial<P>, newProps: P): void;
+  didMount?(instance: T, props: P): void;
+  willUnmount?(instance: T, props: P): void;
+  canHydrate?(instance: PIXI.DisplayObject, props: P): boolean;
+}
+
+export function PixiComponent<P, T extends PIXI.DisplayObject = PIXI.Container>(
+  name: string,
+  definition: PixiComponentDefinition<P & DisplayObjectProps<T>, T>
+): PixiElementType<P & DisplayObjectProps<T>>;
+
+export interface StageProps {
+  width?: number;
+  height?: number;
+  options?: Partial<PIXI.IApplicationOptions>;
+  batchToTicker?: boolean;
+  contexts?: Array<Context<any>>;
+  children?: ReactNode;
+}
+
+export function Stage(props: StageProps): JSX.Element;
+
+export function AppProvider(props: {
+  app: PIXI.Application;
+  children?: ReactNode;
+}): JSX.Element;
+
+export function useApp(): PIXI.Application;
+
+export function useTick(
+  callback: (delta: number, ticker: PIXI.Ticker) => void,
+  enabled?: boolean
+): void;
+
+export function useTexture(url: string): PIXI.Texture;
+
+export type EasingFunction = (progress: number) => number;
+
+export const easings: {
+  linear: EasingFunction;
+  easeInQuad: EasingFunction;
+  easeOutQuad: EasingFunction;
+  easeInOutQuad: EasingFunction;
+  easeInCubic: EasingFunction;
+  easeOutCubic: EasingFunction;
+  easeInOutCubic: EasingFunction;
+  easeOutBack: EasingFunction;
+};
+
+export interface AnimatedValues {
+  x?: number;
+  y?: number;
+  alpha?: number;
+  rotation?: number;
+  scale?: PointLike;
+}
+
+export interface TweenTiming {
+  /** Milliseconds. */
+  duration?: number;
+  /** Milliseconds. */
+  delay?: number;
+  easing?: keyof typeof easings | EasingFunction;
+}
+
+export type TweenStep = AnimatedValues & TweenTiming;
+
+export interface TweenOptions extends TweenTiming {
+  from?: AnimatedValues;
+  onComplete?: (finished: boolean) => void;
+}
+
+export function useTween(
+  ref: RefObject<PIXI.DisplayObject>,
+  to: AnimatedValues | TweenStep[] | null,
+  options?: TweenOptions
+): void;
+
+export interface SpringOptions {
+  from?: AnimatedValues;
+  stiffness?: number;
+  damping?: number;
+  mass?: number;
+  precision?: number;
+  onRest?: () => void;
+}
+
+export function useSpring(
+  ref: RefObject<PIXI.DisplayObject>,
+  to: AnimatedValues | null,
+  options?: SpringOptions
+): void;
+
+export type AnimatedProps<P> = P & {
+  type: PixiElementType<P>;
+  to?: AnimatedValues | TweenStep[] | null;
+  from?: AnimatedValues;
+  transition?:
+    | TweenTiming
+    | ({ type: "spring" } & Omit<SpringOptions, "from" | "onRest">);
+  onComplete?: (finished?: boolean) => void;
+};
+
+export function Animated<P>(props: AnimatedProps<P>): JSX.Element;
+
+/**
+ * The `batch` element type, typed so that `render` is checked against `items`.
+ */
+export const Batch: string & (<T>(props: BatchProps<T>) => null);
+
+export const RenderTexture: typeof TYPE_RENDER_TEXTURE;
+
+export interface RenderToImageOptions {
+  width?: number;
+  height?: number;
+  resolution?: number;
+  format?: "png" | "jpeg";
+  /** JPEG quality between 0 and 1. */
+  quality?: number;
+  output?: "dataURL" | "blob";
+  /** Defaults to a renderer created with `PIXI.autoDetectRenderer`. */
+  renderer?: PIXI.AbstractRenderer;
+}
+
+export function renderToImage(
+  element: ReactNode,
+  options: RenderToImageOptions & { output: "blob" }
+): Promise<Blob>;
+export function renderToImage(
+  element: ReactNode,
+  options?: RenderToImageOptions & { output?: "dataURL" }
+): Promise<string>;
+
+export interface SceneNode {
+  type: string;
+  props?: Record<string, unknown>;
+  /** Strings are only allowed as children of `text` elements. */
+  children?: Array<SceneNode | string>;
+}
+
+export interface SceneDocument {
+  version: number;
+  children: SceneNode[];
+}
+
+export const SCENE_VERSION: number;
+
+export function serializeScene(stage: PIXI.Container): SceneDocument;
+
+export function validateScene(scene: unknown): asserts scene is SceneDocument;
+
+export function SceneFromJSON(props: { data: SceneDocument }): JSX.Element;
+
+export const Tilemap: ForwardRefExoticComponent<
+  TilemapProps & RefAttributes<PIXI.Container>
+>;
+
+export class ViewportContainer extends PIXI.Container {
+  readonly camera: CameraState;
+  /** Converts a point in the coordinates of the viewport's parent to world coordinates. */
+  screenToWorld(point: { x: number; y: number }): { x: number; y: number };
+  moveCenter(x: number, y: number): void;
+  /** Zooms around `screenPoint`, in the coordinates of the viewport's parent, or around the center of the screen. */
+  setZoom(zoom: number, screenPoint?: { x: number; y: number }): void;
+}
+
+export interface TraceEvent {
+  method: string;
+  type?: string;
+  timestamp: number;
+  duration: number;
+}
+
+export interface CommitSummary {
+  created: number;
+  updated: number;
+  removed: number;
+  duration: number;
+}
+
+export interface TracingOptions {
+  enabled?: boolean;
+  methods?: string[] | null;
+  maxEvents?: number;
+  logToConsole?: boolean;
+  onCommit?: ((summary: CommitSummary) => void) | null;
+}
+
+export function configureTracing(options: TracingOptions): void;
+
+export function getTraceLog(): {
+  events: TraceEvent[];
+  commits: CommitSummary[];
+};
+
+export function exportTraceLog(): string;
+
+export function clearTraceLog(): void;
+
+declare const ReactPixi: {
+  render(
+    element: ReactNode,
+    container: PIXI.Container,
+    callback?: () => void
+  ): void;
+  hydrate(
+    element: ReactNode,
+    container: PIXI.Container,
+    callback?: () => void
+  ): void;
+  unmount(container: PIXI.Container): boolean;
+  createRoot: typeof createRoot;
+  hydrateRoot: typeof hydrateRoot;
+  renderToImage: typeof renderToImage;
+  configureTracing: typeof configureTracing;
+};
+
+export default ReactPixi;
@@ -1,25 +1,87 @@
+import { LegacyRoot } from "react-reconciler/constants";
+
+import { renderToImage } from "./image";
 import reconciler from "./reconciler";
+import {
+  createContainerRoot,
+  createRoot,
+  getContainerRoot,
+  hydrateContainerRoot,
+  hydrateRoot,
+  unmountContainerRoot,
+} from "./root";
+import { configureTracing } from "./tracing";
+
+export { Animated, easings, useSpring, useTween } from "./animation";
+export { Batch } from "./batch";
+export { AppProvider, useApp, useTexture, useTick } from "./hooks";
+export { renderToImage } from "./image";
+export { PixiComponent } from "./registry";
+export { RenderTexture } from "./renderTexture";
+export { createRoot, hydrateRoot } from "./root";
+export { SCENE_VERSION, serializeScene, validateScene } from "./scene";
+export { SceneFromJSON } from "./SceneFromJSON";
+export {
+  clearTraceLog,
+  configureTracing,
+  exportTraceLog,
+  getTraceLog,
+} from "./tracing";
+export { Stage } from "./Stage";
+export { Tilemap } from "./tilemap";
+export * from "./types";
+export { ViewportContainer } from "./viewport";
+
 const ReactPixi = {
   render: (reactElement, pixiContainer, callback) => {
-    if (!pixiContainer._rootContainer) {
-      console.info(`[ReactPixi] creating container...`);
-      pixiContainer._rootContainer = reconciler.createContainer(pixiContainer);
-      console.info(
-        `[ReactPixi] created container:`,
-        pixiContainer._rootContainer
+    let rootContainer = getContainerRoot(pixiContainer);
+    if (!rootContainer) {
+      rootContainer = createContainerRoot(pixiContainer, LegacyRoot);
+    } else if (rootContainer.tag !== LegacyRoot) {
+      throw new Error(
+        "ReactPixi.render cannot update a root created with createRoot. Use root.render instead."
       );
     }
 
-    console.info(`[ReactPixi] updating container...`);
-    const result = reconciler.updateContainer(
+    return reconciler.updateContainer(
       reactElement,
-      pixiContainer._rootContainer,
+      rootContainer,
       null,
       callback
     );
-    console.info(`[ReactPixi] updated container.`);
-    return result;
   },
+  /**
+   * Renders `reactElement` into `pixiContainer` like `ReactPixi.render`, but takes ownership of the display objects already in the container instead of recreating them. See `hydrateRoot` for how they're matched.
+   *
+   * Unlike `hydrateRoot`, mismatches don't throw the existing scene away: display objects which don't match are destroyed and replaced, everything else is kept.
+   */
+  hydrate: (reactElement, pixiContainer, callback) => {
+    hydrateContainerRoot(
+      pixiContainer,
+      LegacyRoot,
+      reactElement,
+      undefined,
+      callback
+    );
+    reconciler.flushSync();
+  },
+  /**
+   * Unmounts the tree previously rendered into `pixiContainer` with `ReactPixi.render`. Returns `false` if there was nothing to unmount.
+   */
+  unmount: (pixiContainer) => {
+    const rootContainer = getContainerRoot(pixiContainer);
+    if (rootContainer && rootContainer.tag !== LegacyRoot) {
+      throw new Error(
+        "ReactPixi.unmount cannot unmount a root created with createRoot. Use root.unmount instead."
+      );
+    }
+
+    return unmountContainerRoot(pixiContainer);
+  },
+  createRoot,
+  hydrateRoot,
+  renderToImage,
+  configureTracing,
 };
 
 export default ReactPixi;
@@ -0,0 +1,169 @@
+import { ACCESSIBILITY_PROPS, setAccessibilityProp } from "./accessibility";
+import { EFFECT_PROPS, setEffectProp } from "./effects";
+import { EVENT_PROPS, setCursor, setEventHandler } from "./events";
+
+/**
+ * Props which map one-to-one onto a property of the same name on every
+ * `PIXI.Container`, along with the value PIXI gives them by default. These can
+ * be written straight onto the instance without any redrawing.
+ */
+const DISPLAY_OBJECT_DEFAULTS = {
+  x: 0,
+  y: 0,
+  rotation: 0,
+  alpha: 1,
+  visible: true,
+  name: null,
+  zIndex: 0,
+  sortableChildren: false,
+};
+
+/**
+ * Props which map onto a `PIXI.ObservablePoint`, along with the value PIXI gives
+ * them by default. See `setPoint` for the values they accept.
+ */
+const POINT_DEFAULTS = {
+  scale: 1,
+  pivot: 0,
+};
+
+/**
+ * Props which are never forwarded to the PIXI instance.
+ */
+const RESERVED_PROPS = ["children", "key", "ref"];
+
+/**
+ * Returns `true` for object literals, as opposed to arrays, `null` and instances of classes such as textures or display objects.
+ */
+export function isPlainObject(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+function isObjectOrArray(value) {
+  return isPlainObject(value) || Array.isArray(value);
+}
+
+/**
+ * Compares two prop values. Plain objects and arrays are compared one level deep so that inline values such as `style={{ fill: "red" }}` or `scale={[2, 2]}` don't count as a change on every render.
+ */
+export function isPropEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!isObjectOrArray(a) || !isObjectOrArray(b)) {
+    return false;
+  }
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return (
+    aKeys.length === bKeys.length &&
+    aKeys.every((key) => key in b && a[key] === b[key])
+  );
+}
+
+/**
+ * Compares two sets of props and returns an update payload in the same shape as the DOM renderer: `[prop1, value1, prop2, value2, ...]` for every prop that has changed. Props that were removed are included with a value of `undefined`.
+ *
+ * Returns `null` if nothing changed.
+ */
+export function diffProps(oldProps, newProps) {
+  const updatePayload = [];
+
+  for (const key in oldProps) {
+    if (RESERVED_PROPS.includes(key) || key in newProps) {
+      continue;
+    }
+    updatePayload.push(key, undefined);
+  }
+
+  for (const key in newProps) {
+    if (
+      RESERVED_PROPS.includes(key) ||
+      isPropEqual(oldProps[key], newProps[key])
+    ) {
+      continue;
+    }
+    updatePayload.push(key, newProps[key]);
+  }
+
+  return updatePayload.length > 0 ? updatePayload : null;
+}
+
+/**
+ * Returns `true` if any prop differs between `oldProps` and `newProps`, using the same comparison as `diffProps` but stopping at the first difference.
+ */
+export function hasPropChanges(oldProps, newProps) {
+  for (const key in oldProps) {
+    if (!RESERVED_PROPS.includes(key) && !(key in newProps)) {
+      return true;
+    }
+  }
+  for (const key in newProps) {
+    if (
+      !RESERVED_PROPS.includes(key) &&
+      !isPropEqual(oldProps[key], newProps[key])
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns `true` if any of the given `keys` differs between `oldProps` and `newProps`.
+ */
+export function hasChanged(oldProps, newProps, keys) {
+  return keys.some((key) => !isPropEqual(oldProps[key], newProps[key]));
+}
+
+/**
+ * Sets a `PIXI.ObservablePoint` from a prop value. Accepts a single number (applied to both axes), an `[x, y]` array or an `{ x, y }` object.
+ */
+export function setPoint(point, value) {
+  if (typeof value === "number") {
+    point.set(value, value);
+  } else if (Array.isArray(value)) {
+    point.set(value[0], value[1]);
+  } else {
+    point.set(value.x, value.y);
+  }
+}
+
+/**
+ * Writes a single display object prop onto `displayObject`, falling back to PIXI's default if `value` is `undefined`. This includes event handler props and `cursor`, see `./events.js`, visual effect props, see `./effects.js`, and accessibility props, see `./accessibility.js`. Props which aren't display object props are ignored; it's up to the caller to deal with them.
+ */
+export function setDisplayObjectProp(displayObject, key, value) {
+  if (key in DISPLAY_OBJECT_DEFAULTS) {
+    displayObject[key] =
+      value === undefined ? DISPLAY_OBJECT_DEFAULTS[key] : value;
+  } else if (key in POINT_DEFAULTS) {
+    setPoint(
+      displayObject[key],
+      value === undefined ? POINT_DEFAULTS[key] : value
+    );
+  } else if (key in EVENT_PROPS) {
+    setEventHandler(displayObject, key, value);
+  } else if (key === "cursor") {
+    setCursor(displayObject, value);
+  } else if (EFFECT_PROPS.includes(key)) {
+    setEffectProp(displayObject, key, value);
+  } else if (key in ACCESSIBILITY_PROPS) {
+    setAccessibilityProp(displayObject, key, value);
+  }
+}
+
+/**
+ * Writes every display object prop which differs between `oldProps` and `newProps` onto `displayObject`. Pass `{}` as `oldProps` when the instance is first created.
+ */
+export function applyDisplayObjectProps(displayObject, oldProps, newProps) {
+  const updatePayload = diffProps(oldProps, newProps) || [];
+
+  for (let i = 0; i < updatePayload.length; i += 2) {
+    setDisplayObjectProp(displayObject, updatePayload[i], updatePayload[i + 1]);
+  }
+}
@@ -1,16 +1,93 @@
-import * as PIXI from "pixi.js";
 import ReactReconciler from "react-reconciler";
+import {
+  DefaultEventPriority,
+  DiscreteEventPriority,
+} from "react-reconciler/constants";
+
+import "./elements";
+import { clearEffects, updateRefMasks } from "./effects";
+import { getActiveEventPriority } from "./events";
+import { hasPropChanges } from "./props";
+import { getComponent } from "./registry";
+import { getBatchingTicker, scheduleOnFrame } from "./scheduling";
+import {
+  adoptTextNodes,
+  appendTextNode,
+  createTextNode,
+  insertTextNodeBefore,
+  isTextNode,
+  removeTextNode,
+  setTextNodeHidden,
+  setTextNodeText,
+} from "./text";
+import { traceHostConfig } from "./tracing";
+import { TYPE_BATCH, TYPE_TEXT } from "./types";
+
+const localQueueMicrotask =
+  typeof queueMicrotask === "function"
+    ? queueMicrotask
+    : (fn) =>
+        Promise.resolve(null)
+          .then(fn)
+          .catch((error) =>
+            setTimeout(() => {
+              throw error;
+            })
+          );
+
+/**
+ * Host context tracks whether we are inside a `text` element, which is the only place raw strings may be rendered and the only place other elements may not.
+ */
+const ROOT_HOST_CONTEXT = { isInsideText: false };
+const TEXT_HOST_CONTEXT = { isInsideText: true };
+
+/**
+ * The element type, component definition and current props of every instance. Used to call `willUnmount` with the latest props.
+ */
+const instanceRecords = new WeakMap();
+
+/**
+ * Returns `{ type, component, props }` for a display object created by React, or `undefined` for any other display object.
+ */
+export function getInstanceRecord(instance) {
+  return instanceRecords.get(instance);
+}
+
+/**
+ * Throws if `parentInstance` manages its children itself. A `batch` element shows its pooled sprites as children, so anything React added would throw off its pool.
+ */
+function assertAcceptsChildren(parentInstance) {
+  const record = instanceRecords.get(parentInstance);
 
-import { TYPE_RECTANGLE } from "./types";
+  if (record && record.type === TYPE_BATCH) {
+    throw new Error(
+      `A ${TYPE_BATCH} element cannot have children. Render its items with the items and render props instead.`
+    );
+  }
+}
 
-const logFunctionCall =
-  (cb) =>
-  (...args) => {
-    const result = cb(...args);
+/**
+ * Calls `willUnmount` for `instance` and everything below it, children first, and destroys the filters React created for them.
+ */
+function unmountInstance(instance) {
+  if (instance.children) {
+    instance.children.forEach(unmountInstance);
+  }
 
-    console.log(`[fn] ${cb.name}`, args, `=>`, result);
-    return result;
-  };
+  const record = instanceRecords.get(instance);
+  if (record && record.component.willUnmount) {
+    record.component.willUnmount(instance, record.props);
+  }
+  clearEffects(instance);
+}
+
+/**
+ * Tears down a display object which React has removed from the tree. Children are destroyed along with it because React only calls `removeChild` for the top-most removed node. This also frees geometry owned by `PIXI.Graphics` instances. Textures are left alone as they may be shared through PIXI's texture cache.
+ */
+function destroyInstance(instance) {
+  unmountInstance(instance);
+  instance.destroy({ children: true });
+}
 
 /**
  * This method should return a newly created node. For example, the DOM renderer would call `document.createElement(type)` here and then set the properties from `props`.
@@ -30,27 +107,35 @@ function createInstance(
   hostContext,
   internalHandle
 ) {
-  switch (type) {
-    case TYPE_RECTANGLE: {
-      const { x = 0, y = 0, width = 100, height = 100 } = props;
-
-      const graphics = new PIXI.Graphics();
-      graphics.beginFill(0xffffff);
-      graphics.drawRect(x, y, width, height);
-      graphics.endFill();
+  if (hostContext.isInsideText) {
+    throw new Error(
+      `Element type ${type} cannot be rendered inside a ${TYPE_TEXT} element`
+    );
+  }
 
-      return graphics;
-    }
-    default:
-      throw new Error(`Unknown element type: ${type}`);
+  const component = getComponent(type);
+  if (!component) {
+    throw new Error(`Unknown element type: ${type}`);
   }
+
+  const instance = component.create(props, pixiContainer);
+  component.applyProps(instance, {}, props);
+  instanceRecords.set(instance, { type, component, props });
+
+  return instance;
 }
 
 /**
  * Same as `createInstance`, but for text nodes. If your renderer doesn't support text nodes, you can throw here.
  */
 function createTextInstance(text, rootContainer, hostContext, internalHandle) {
-  // TODO
+  if (!hostContext.isInsideText) {
+    throw new Error(
+      `Text strings must be rendered inside a ${TYPE_TEXT} element: "${text}"`
+    );
+  }
+
+  return createTextNode(text);
 }
 
 /**
@@ -59,7 +144,9 @@ function createTextInstance(text, rootContainer, hostContext, internalHandle) {
  * This method happens **in the render phase**. It can mutate `parentInstance` and `child`, but it must not modify any other nodes. It's called while the tree is still being built up and not connected to the actual tree on the screen.
  */
 
-function appendInitialChild(parentInstance, child) {}
+function appendInitialChild(parentInstance, child) {
+  appendChild(parentInstance, child);
+}
 
 /**
  * In this method, you can perform some final mutations on the `instance`. Unlike with `createInstance`, by the time `finalizeInitialChildren` is called, all the initial children have already been added to the `instance`, but the instance itself has not yet been connected to the tree on the screen.
@@ -78,7 +165,7 @@ function finalizeInitialChildren(
   rootContainer,
   hostContext
 ) {
-  return false;
+  return Boolean(getComponent(type).didMount);
 }
 
 /**
@@ -87,6 +174,8 @@ function finalizeInitialChildren(
  * This method happens **in the render phase**. It should only *calculate* the update — but not apply it! For example, the DOM renderer returns an array that looks like `[prop1, value1, prop2, value2, ...]` for all props that have actually changed. And only in `commitUpdate` it applies those changes. You should calculate as much as you can in `prepareUpdate` so that `commitUpdate` can be very fast and straightforward.
  *
  * See the meaning of `rootContainer` and `hostContext` in the `createInstance` documentation.
+ *
+ * We only return `true` when any prop changed, and let each component's `applyProps` work out which ones did from the old and new props in `commitUpdate`. Most components only look at a few props, so a full payload would be built only to be ignored.
  */
 
 function prepareUpdate(
@@ -96,11 +185,15 @@ function prepareUpdate(
   newProps,
   rootContainer,
   hostContext
-) {}
+) {
+  return hasPropChanges(oldProps, newProps) ? true : null;
+}
 
 /**
  * Some target platforms support setting an instance's text content without manually creating a text node. For example, in the DOM, you can set `node.textContent` instead of creating a text node and appending it.
  *
+ * We always return `false` so that strings inside a `text` element become text nodes, which keeps mixed children like `Score: {score}` working. See `./text.js`.
+ *
  * If you return `true` from this method, React will assume that this node's children are text, and will not create nodes for them. It will instead rely on you to have filled that text during `createInstance`. This is a performance optimization. For example, the DOM renderer returns `true` only if `type` is a known text-only parent (like `'textarea'`) or if `props.children` has a `'string'` type. If you return `true`, you will need to implement `resetTextContent` too.
  *
  * If you don't want to do anything here, you should return `false`.
@@ -121,7 +214,7 @@ function shouldSetTextContent(type, props) {
  */
 
 function getRootHostContext(rootContainer) {
-  return null;
+  return ROOT_HOST_CONTEXT;
 }
 
 /**
@@ -135,14 +228,18 @@ function getRootHostContext(rootContainer) {
  */
 
 function getChildHostContext(parentHostContext, type, rootContainer) {
-  return parentHostContext;
+  return type === TYPE_TEXT ? TEXT_HOST_CONTEXT : parentHostContext;
 }
 /**
  * Determines what object gets exposed as a ref. You'll likely want to return the `instance` itself. But in some cases it might make sense to only expose some part of it.
  *
  * If you don't want to do anything here, return `instance`.
+ *
+ * Refs resolve to the PIXI display object itself, so methods such as `toGlobal` and `getBounds` can be called on them directly.
  */
-function getPublicInstance(instance) {}
+function getPublicInstance(instance) {
+  return instance;
+}
 /**
  * This method lets you store some information before React starts making changes to the tree on the screen. For example, the DOM renderer stores the current text selection so that it can later restore it. This method is mirrored by `resetAfterCommit`.
  *
@@ -152,9 +249,12 @@ function prepareForCommit(containerInfo) {}
 /**
  * This method is called right after React has performed the tree mutations. You can use it to restore something you've stored in `prepareForCommit` — for example, text selection.
  *
- * You can leave it empty.
+ * We use it to re-resolve `mask` props given as refs, so nothing is left masked by a display object React has just destroyed. Refs are attached after this runs, so they're resolved once more in a microtask to pick up masks which were mounted by this commit.
  */
-function resetAfterCommit(containerInfo) {}
+function resetAfterCommit(containerInfo) {
+  updateRefMasks();
+  localQueueMicrotask(updateRefMasks);
+}
 
 /**
  * This method is called for a container that's used as a portal target. Usually you can leave it empty.
@@ -164,35 +264,48 @@ function preparePortalMount(containerInfo) {}
 /**
  * You can proxy this to `setTimeout` or its equivalent in your environment.
  */
-function scheduleTimeout(fn, delay) {}
+function scheduleTimeout(fn, delay) {
+  return setTimeout(fn, delay);
+}
 
 /**
  * You can proxy this to `clearTimeout` or its equivalent in your environment.
  */
-function cancelTimeout(id) {}
+function cancelTimeout(id) {
+  clearTimeout(id);
+}
 
 /**
  * This is a property (not a function) that should be set to something that can never be a valid timeout ID. For example, you can set it to `-1`.
  */
-const noTimeout = undefined;
+const noTimeout = -1;
 /**
  * Set this to `true` to indicate that your renderer supports `scheduleMicrotask`. We use microtasks as part of our discrete event implementation in React DOM. If you're not sure if your renderer should support this, you probably should. The option to not implement `scheduleMicrotask` exists so that platforms with more control over user events, like React Native, can choose to use a different mechanism.
  */
-const supportsMicrotask = undefined;
+const supportsMicrotasks = true;
 
 /**
  * Optional. You can proxy this to `queueMicrotask` or its equivalent in your environment.
+ *
+ * React uses this to flush synchronous updates. When they're scheduled by a root which batches to a ticker (see `./scheduling.js`) they're deferred to the ticker's next frame instead.
  */
-function scheduleMicrotask(fn) {}
+function scheduleMicrotask(fn) {
+  const ticker = getBatchingTicker();
+  if (ticker) {
+    scheduleOnFrame(ticker, fn);
+  } else {
+    localQueueMicrotask(fn);
+  }
+}
 /**
  * This is a property (not a function) that should be set to `true` if your renderer is the main one on the page. For example, if you're writing a renderer for the Terminal, it makes sense to set it to `true`, but if your renderer is used *on top of* React DOM or some other existing renderer, set it to `false`.
  */
-const isPrimaryRenderer = undefined;
+const isPrimaryRenderer = false;
 
 /**
  * Whether the renderer shouldn't trigger missing `act()` warnings
  */
-const warnsIfNotActing = undefined;
+const warnsIfNotActing = true;
 /**
  * To implement this method, you'll need some constants available on the special `react-reconciler/constants` entry point:
  *
@@ -223,8 +336,16 @@ const warnsIfNotActing = undefined;
  * - **Other events / No active event**: In all other cases, return DefaultEventPriority. This tells React that this event is considered background work, and interactive events will be prioritized over it.
  *
  * You can consult the `getCurrentEventPriority()` implementation in `ReactDOMHostConfig.js` for a reference implementation.
+ *
+ * Event handlers keep the priority of their event. Updates which would otherwise get the default priority are treated as discrete while they're batched to a ticker: discrete updates are flushed through `scheduleMicrotask`, which is what lets us hold them until the next frame.
  */
-function getCurrentEventPriority() {}
+function getCurrentEventPriority() {
+  const priority = getActiveEventPriority();
+  if (priority === DefaultEventPriority && getBatchingTicker()) {
+    return DiscreteEventPriority;
+  }
+  return priority;
+}
 
 function getInstanceFromNode(node) {}
 
@@ -249,7 +370,12 @@ function detachDeletedInstance(node) {}
  * Although this method currently runs in the commit phase, you still should not mutate any other nodes in it. If you need to do some additional work when a node is definitely connected to the visible tree, look at `commitMount`.
  */
 function appendChild(parentInstance, child) {
-  parentInstance.addChild(child);
+  assertAcceptsChildren(parentInstance);
+  if (isTextNode(child)) {
+    appendTextNode(parentInstance, child);
+  } else {
+    parentInstance.addChild(child);
+  }
 }
 /**
  * Same as `appendChild`, but for when a node is attached to the root container. This is useful if attaching to the root has a slightly different implementation, or if the root container nodes are of a different type than the rest of the tree.
@@ -262,21 +388,47 @@ function appendChildToContainer(container, child) {
  *
  * Note that React uses this method both for insertions and for reordering nodes. Similar to DOM, it is expected that you can call `insertBefore` to reposition an existing child. Do not mutate any other parts of the tree from it.
  */
-function insertBefore(parentInstance, child, beforeChild) {}
+function insertBefore(parentInstance, child, beforeChild) {
+  assertAcceptsChildren(parentInstance);
+  if (isTextNode(child)) {
+    insertTextNodeBefore(parentInstance, child, beforeChild);
+    return;
+  }
+
+  if (child.parent === parentInstance) {
+    // Reordering an existing child. Detach it first so the index of `beforeChild` is correct.
+    parentInstance.removeChild(child);
+  }
+
+  const index = parentInstance.getChildIndex(beforeChild);
+  parentInstance.addChildAt(child, index);
+}
 /**
  * Same as `insertBefore`, but for when a node is attached to the root container. This is useful if attaching to the root has a slightly different implementation, or if the root container nodes are of a different type than the rest of the tree.
  */
-function insertInContainerBefore(container, child, beforeChild) {}
+function insertInContainerBefore(container, child, beforeChild) {
+  insertBefore(container, child, beforeChild);
+}
 /**
  * This method should mutate the `parentInstance` to remove the `child` from the list of its children.
  *
  * React will only call it for the top-level node that is being removed. It is expected that garbage collection would take care of the whole subtree. You are not expected to traverse the child tree in it.
  */
-function removeChild(parentInstance, child) {}
+function removeChild(parentInstance, child) {
+  if (isTextNode(child)) {
+    removeTextNode(parentInstance, child);
+    return;
+  }
+
+  parentInstance.removeChild(child);
+  destroyInstance(child);
+}
 /**
  * Same as `removeChild`, but for when a node is detached from the root container. This is useful if attaching to the root has a slightly different implementation, or if the root container nodes are of a different type than the rest of the tree.
  */
-function removeChildFromContainer(container, child) {}
+function removeChildFromContainer(container, child) {
+  removeChild(container, child);
+}
 /**
  * If you returned `true` from `shouldSetTextContent` for the previous props, but returned `false` from `shouldSetTextContent` for the next props, React will call this method so that you can clear the text content you were managing manually. For example, in the DOM you could set `node.textContent = ''`.
  *
@@ -289,7 +441,9 @@ function resetTextContent(instance) {}
  *
  * Here, `textInstance` is a node created by `createTextInstance`.
  */
-function commitTextUpdate(textInstance, oldText, newText) {}
+function commitTextUpdate(textInstance, oldText, newText) {
+  setTextNodeText(textInstance, newText);
+}
 /**
  * This method is only called if you returned `true` from `finalizeInitialChildren` for this instance.
  *
@@ -301,7 +455,13 @@ function commitTextUpdate(textInstance, oldText, newText) {}
  *
  * If you never return `true` from `finalizeInitialChildren`, you can leave it empty.
  */
-function commitMount(instance, type, props, internalInstanceHandle) {}
+function commitMount(instance, type, props, internalInstanceHandle) {
+  const { didMount } = getComponent(type);
+
+  if (didMount) {
+    didMount(instance, props);
+  }
+}
 /**
  * This method should mutate the `instance` according to the set of changes in `updatePayload`. Here, `updatePayload` is the object that you've returned from `prepareUpdate` and has an arbitrary structure that makes sense for your renderer. For example, the DOM renderer returns an update payload like `[prop1, value1, prop2, value2, ...]` from `prepareUpdate`, and that structure gets passed into `commitUpdate`. Ideally, all the diffing and calculation should happen inside `prepareUpdate` so that `commitUpdate` can be fast and straightforward.
  *
@@ -314,31 +474,52 @@ function commitUpdate(
   prevProps,
   nextProps,
   internalHandle
-) {}
+) {
+  const component = getComponent(type);
+  // Hydrated instances have no record until their first commit: all of their props still need to be applied.
+  const hasRecord = instanceRecords.has(instance);
+
+  component.applyProps(instance, hasRecord ? prevProps : {}, nextProps);
+  instanceRecords.set(instance, { type, component, props: nextProps });
+}
 /**
  * This method should make the `instance` invisible without removing it from the tree. For example, it can apply visual styling to hide it. It is used by Suspense to hide the tree while the fallback is visible.
  */
-function hideInstance(instance) {}
+function hideInstance(instance) {
+  instance.visible = false;
+}
 
 /**
  * Same as `hideInstance`, but for nodes created by `createTextInstance`.
  */
-function hideTextInstance(textInstance) {}
+function hideTextInstance(textInstance) {
+  setTextNodeHidden(textInstance, true);
+}
 
 /**
  * This method should make the `instance` visible, undoing what `hideInstance` did.
  */
-function unhideInstance(instance, props) {}
+function unhideInstance(instance, props) {
+  const { visible = true } = props;
+
+  instance.visible = visible;
+}
 
 /**
  * Same as `unhideInstance`, but for nodes created by `createTextInstance`.
  */
-function unhideTextInstance(textInstance, text) {}
+function unhideTextInstance(textInstance, text) {
+  setTextNodeHidden(textInstance, false);
+}
 
 /**
  * This method should mutate the `container` root node and remove all children from it.
+ *
+ * The children being cleared here were not created by React, so they are only detached and not destroyed. Whoever created them remains responsible for them.
  */
-function clearContainer(container) {}
+function clearContainer(container) {
+  container.removeChildren();
+}
 // -------------------
 // Persistence Methods
 //    (optional)
@@ -366,34 +547,136 @@ function cloneHiddenTextInstance(instance, text, internalInstanceHandle) {}
 // You can optionally implement hydration to "attach" to the existing tree during the initial render instead of creating it from scratch. For example, the DOM renderer uses this to attach to an HTML markup.
 // To support hydration, you need to declare `supportsHydration: true` and then implement the methods in the "Hydration" section [listed in this file](https://github.com/facebook/react/blob/master/packages/react-reconciler/src/forks/ReactFiberHostConfig.custom.js). File an issue if you need help.
 // -------------------
-const supportsHydration = undefined;
+const supportsHydration = true;
 
-function canHydrateInstance(instance, type, props) {}
+/**
+ * Reports a hydration mismatch in development builds, the way React DOM does for server-rendered markup.
+ */
+function warnHydrationMismatch(message) {
+  if (process.env.NODE_ENV !== "production") {
+    console.error(`Warning: ${message}`);
+  }
+}
+
+function describeInstance(instance) {
+  if (isTextNode(instance)) {
+    return `text "${instance.text}"`;
+  }
+  return `PIXI.${instance.constructor.name}`;
+}
+
+/**
+ * The strings React renders as text nodes for the `children` prop of a `text` element.
+ */
+function getTextChildren(children) {
+  if (Array.isArray(children)) {
+    return children.flatMap(getTextChildren);
+  }
+  if (typeof children === "string" || typeof children === "number") {
+    return [String(children)];
+  }
+  return [];
+}
 
-function canHydrateTextInstance(instance, text) {}
+/**
+ * Returns `instance` if it can become the display object of an element of `type`, or `null` otherwise. This is up to the element's `canHydrate` function, see `PixiComponent`; element types without one can't be hydrated.
+ *
+ * A `PIXI.Text` built outside of React is given text nodes for the strings in `props.children` here, because React moves on to hydrating its text straight away.
+ */
+function canHydrateInstance(instance, type, props) {
+  if (isTextNode(instance)) {
+    return null;
+  }
 
-function canHydrateSuspenseInstance(instance) {}
+  const component = getComponent(type);
+  if (
+    !component ||
+    !component.canHydrate ||
+    !component.canHydrate(instance, props)
+  ) {
+    return null;
+  }
+
+  if (type === TYPE_TEXT && !instance.textNodes) {
+    adoptTextNodes(instance, getTextChildren(props.children));
+  }
+  return instance;
+}
+
+function canHydrateTextInstance(instance, text) {
+  return isTextNode(instance) ? instance : null;
+}
+
+/**
+ * There are no dehydrated Suspense boundaries in a PIXI scene.
+ */
+function canHydrateSuspenseInstance(instance) {
+  return null;
+}
 
 function isSuspenseInstancePending(instance) {}
 
 function isSuspenseInstanceFallback(instance) {}
 
+function getSuspenseInstanceFallbackErrorDetails(instance) {}
+
 function registerSuspenseInstanceRetry(instance, callback) {}
 
-function getNextHydratableSibling(instance) {}
+function getNextHydratableSibling(instance) {
+  const siblings = isTextNode(instance)
+    ? instance.parent.textNodes
+    : instance.parent.children;
+
+  return siblings[siblings.indexOf(instance) + 1] || null;
+}
+
+function getFirstHydratableChild(parentInstance) {
+  const children = parentInstance.textNodes || parentInstance.children;
+
+  return children[0] || null;
+}
+
+function getFirstHydratableChildWithinContainer(parentContainer) {
+  return parentContainer.children[0] || null;
+}
 
-function getFirstHydratableChild(parentInstance) {}
+function getFirstHydratableChildWithinSuspenseInstance(parentInstance) {}
 
+/**
+ * Takes ownership of a display object built outside of React. Returning an update payload makes React call `commitUpdate`, which applies the element's props once the hydrated tree is committed. Props the element doesn't set are left as they are.
+ */
 function hydrateInstance(
   instance,
   type,
   props,
   rootContainerInstance,
   hostContext,
-  internalInstanceHandle
-) {}
+  internalInstanceHandle,
+  shouldWarnDev
+) {
+  if (shouldWarnDev) {
+    for (const key of ["x", "y", "rotation", "alpha", "visible"]) {
+      if (key in props && instance[key] !== props[key]) {
+        warnHydrationMismatch(
+          `Prop \`${key}\` did not match. Existing: ${instance[key]} React: ${props[key]}`
+        );
+      }
+    }
+  }
+  return true;
+}
 
-function hydrateTextInstance(textInstance, text, internalInstanceHandle) {}
+/**
+ * Returns `true` if the text differs, in which case React reports the mismatch through `didNotMatchHydratedTextInstance` and corrects it with `commitTextUpdate`.
+ */
+function hydrateTextInstance(
+  textInstance,
+  text,
+  internalInstanceHandle,
+  shouldWarnDev
+) {
+  return textInstance.text !== text;
+}
 
 function hydrateSuspenseInstance(suspenseInstance, internalInstanceHandle) {}
 
@@ -408,49 +691,126 @@ function commitHydratedContainer(container) {}
 
 function commitHydratedSuspenseInstance(suspenseInstance) {}
 
+function clearSuspenseBoundary(parentInstance, suspenseInstance) {}
+
+function clearSuspenseBoundaryFromContainer(container, suspenseInstance) {}
+
+/**
+ * Display objects left over after the last hydrated child of an element are removed, and destroyed like any other display object React removes.
+ */
+function shouldDeleteUnhydratedTailInstances(parentType) {
+  return true;
+}
+
+function isHiddenSubtree(fiber) {
+  return false;
+}
+
 function didNotMatchHydratedContainerTextInstance(
   parentContainer,
   textInstance,
-  text
-) {}
+  text,
+  isConcurrentMode
+) {
+  warnHydrationMismatch(
+    `Text content did not match. Existing: "${textInstance.text}" React: "${text}"`
+  );
+}
 
 function didNotMatchHydratedTextInstance(
   parentType,
   parentProps,
   parentInstance,
   textInstance,
-  text
-) {}
+  text,
+  isConcurrentMode
+) {
+  warnHydrationMismatch(
+    `Text content did not match. Existing: "${textInstance.text}" React: "${text}"`
+  );
+}
+
+function didNotHydrateInstanceWithinContainer(parentContainer, instance) {
+  warnHydrationMismatch(
+    `Did not expect the existing ${describeInstance(
+      instance
+    )} in the root container.`
+  );
+}
 
-function didNotHydrateContainerInstance(parentContainer, instance) {}
+function didNotHydrateInstanceWithinSuspenseInstance(
+  parentInstance,
+  instance
+) {}
 
 function didNotHydrateInstance(
   parentType,
   parentProps,
   parentInstance,
-  instance
-) {}
+  instance,
+  isConcurrentMode
+) {
+  warnHydrationMismatch(
+    `Did not expect the existing ${describeInstance(
+      instance
+    )} in <${parentType}>.`
+  );
+}
+
+function didNotFindHydratableInstanceWithinContainer(
+  parentContainer,
+  type,
+  props
+) {
+  warnHydrationMismatch(`Expected a matching <${type}> in the root container.`);
+}
+
+function didNotFindHydratableTextInstanceWithinContainer(
+  parentContainer,
+  text
+) {
+  warnHydrationMismatch(
+    `Expected matching text "${text}" in the root container.`
+  );
+}
 
-function didNotFindHydratableContainerInstance(parentContainer, type, props) {}
+function didNotFindHydratableSuspenseInstanceWithinContainer(parentContainer) {}
 
-function didNotFindHydratableContainerTextInstance(parentContainer, text) {}
+function didNotFindHydratableInstanceWithinSuspenseInstance(
+  parentInstance,
+  type,
+  props
+) {}
 
-function didNotFindHydratableContainerSuspenseInstance(parentContainer) {}
+function didNotFindHydratableTextInstanceWithinSuspenseInstance(
+  parentInstance,
+  text
+) {}
+
+function didNotFindHydratableSuspenseInstanceWithinSuspenseInstance(
+  parentInstance
+) {}
 
 function didNotFindHydratableInstance(
   parentType,
   parentProps,
   parentInstance,
   type,
-  props
-) {}
+  props,
+  isConcurrentMode
+) {
+  warnHydrationMismatch(`Expected a matching <${type}> in <${parentType}>.`);
+}
 
 function didNotFindHydratableTextInstance(
   parentType,
   parentProps,
   parentInstance,
-  text
-) {}
+  text,
+  isConcurrentMode
+) {
+  warnHydrationMismatch(`Expected matching text "${text}" in <${parentType}>.`);
+}
 
 function didNotFindHydratableSuspenseInstance(
   parentType,
@@ -458,7 +818,14 @@ function didNotFindHydratableSuspenseInstance(
   parentInstance
 ) {}
 
-function errorHydratingContainer(parentContainer) {}
+/**
+ * Called when a concurrent root gives up on hydrating because of a mismatch. React then renders the whole scene from scratch, replacing the existing display objects.
+ */
+function errorHydratingContainer(parentContainer) {
+  warnHydrationMismatch(
+    "An error occurred during hydration. The existing PIXI scene was replaced with one rendered from scratch."
+  );
+}
 
 /**
  * Reference: https://github.com/DefinitelyTyped/DefinitelyTyped/blob/master/types/react-reconciler/index.d.ts
@@ -467,104 +834,93 @@ function errorHydratingContainer(parentContainer) {}
  */
 const hostConfig = {
   supportsMutation: true,
-  createInstance: logFunctionCall(createInstance),
-  createTextInstance: logFunctionCall(createTextInstance),
-  appendInitialChild: logFunctionCall(appendInitialChild),
-  finalizeInitialChildren: logFunctionCall(finalizeInitialChildren),
-  prepareUpdate: logFunctionCall(prepareUpdate),
-  shouldSetTextContent: logFunctionCall(shouldSetTextContent),
-  getRootHostContext: logFunctionCall(getRootHostContext),
-  getChildHostContext: logFunctionCall(getChildHostContext),
-  getPublicInstance: logFunctionCall(getPublicInstance),
-  prepareForCommit: logFunctionCall(prepareForCommit),
-  resetAfterCommit: logFunctionCall(resetAfterCommit),
-  preparePortalMount: logFunctionCall(preparePortalMount),
-  scheduleTimeout: logFunctionCall(scheduleTimeout),
-  cancelTimeout: logFunctionCall(cancelTimeout),
+  createInstance,
+  createTextInstance,
+  appendInitialChild,
+  finalizeInitialChildren,
+  prepareUpdate,
+  shouldSetTextContent,
+  getRootHostContext,
+  getChildHostContext,
+  getPublicInstance,
+  prepareForCommit,
+  resetAfterCommit,
+  preparePortalMount,
+  scheduleTimeout,
+  cancelTimeout,
   noTimeout,
-  supportsMicrotask,
-  scheduleMicrotask: logFunctionCall(scheduleMicrotask),
+  supportsMicrotasks,
+  scheduleMicrotask,
   isPrimaryRenderer,
   warnsIfNotActing,
-  getCurrentEventPriority: logFunctionCall(getCurrentEventPriority),
-  getInstanceFromNode: logFunctionCall(getInstanceFromNode),
-  beforeActiveInstanceBlur: logFunctionCall(beforeActiveInstanceBlur),
-  afterActiveInstanceBlur: logFunctionCall(afterActiveInstanceBlur),
-  prepareScopeUpdate: logFunctionCall(prepareScopeUpdate),
-  getInstanceFromScope: logFunctionCall(getInstanceFromScope),
-  detachDeletedInstance: logFunctionCall(detachDeletedInstance),
-  appendChild: logFunctionCall(appendChild),
-  appendChildToContainer: logFunctionCall(appendChildToContainer),
-  insertBefore: logFunctionCall(insertBefore),
-  insertInContainerBefore: logFunctionCall(insertInContainerBefore),
-  removeChild: logFunctionCall(removeChild),
-  removeChildFromContainer: logFunctionCall(removeChildFromContainer),
-  resetTextContent: logFunctionCall(resetTextContent),
-  commitTextUpdate: logFunctionCall(commitTextUpdate),
-  commitMount: logFunctionCall(commitMount),
-  commitUpdate: logFunctionCall(commitUpdate),
-  hideInstance: logFunctionCall(hideInstance),
-  hideTextInstance: logFunctionCall(hideTextInstance),
-  unhideInstance: logFunctionCall(unhideInstance),
-  unhideTextInstance: logFunctionCall(unhideTextInstance),
-  clearContainer: logFunctionCall(clearContainer),
-  cloneInstance: logFunctionCall(cloneInstance),
-  createContainerChildSet: logFunctionCall(createContainerChildSet),
-  appendChildToContainerChildSet: logFunctionCall(
-    appendChildToContainerChildSet
-  ),
-  finalizeContainerChildren: logFunctionCall(finalizeContainerChildren),
-  replaceContainerChildren: logFunctionCall(replaceContainerChildren),
-  cloneHiddenInstance: logFunctionCall(cloneHiddenInstance),
-  cloneHiddenTextInstance: logFunctionCall(cloneHiddenTextInstance),
+  getCurrentEventPriority,
+  getInstanceFromNode,
+  beforeActiveInstanceBlur,
+  afterActiveInstanceBlur,
+  prepareScopeUpdate,
+  getInstanceFromScope,
+  detachDeletedInstance,
+  appendChild,
+  appendChildToContainer,
+  insertBefore,
+  insertInContainerBefore,
+  removeChild,
+  removeChildFromContainer,
+  resetTextContent,
+  commitTextUpdate,
+  commitMount,
+  commitUpdate,
+  hideInstance,
+  hideTextInstance,
+  unhideInstance,
+  unhideTextInstance,
+  clearContainer,
+  cloneInstance,
+  createContainerChildSet,
+  appendChildToContainerChildSet,
+  finalizeContainerChildren,
+  replaceContainerChildren,
+  cloneHiddenInstance,
+  cloneHiddenTextInstance,
   supportsHydration,
-  canHydrateInstance: logFunctionCall(canHydrateInstance),
-  canHydrateTextInstance: logFunctionCall(canHydrateTextInstance),
-  canHydrateSuspenseInstance: logFunctionCall(canHydrateSuspenseInstance),
-  isSuspenseInstancePending: logFunctionCall(isSuspenseInstancePending),
-  isSuspenseInstanceFallback: logFunctionCall(isSuspenseInstanceFallback),
-  registerSuspenseInstanceRetry: logFunctionCall(registerSuspenseInstanceRetry),
-  getNextHydratableSibling: logFunctionCall(getNextHydratableSibling),
-  getFirstHydratableChild: logFunctionCall(getFirstHydratableChild),
-  hydrateInstance: logFunctionCall(hydrateInstance),
-  hydrateTextInstance: logFunctionCall(hydrateTextInstance),
-  hydrateSuspenseInstance: logFunctionCall(hydrateSuspenseInstance),
-  getNextHydratableInstanceAfterSuspenseInstance: logFunctionCall(
-    getNextHydratableInstanceAfterSuspenseInstance
-  ),
-  getParentSuspenseInstance: logFunctionCall(getParentSuspenseInstance),
-  commitHydratedContainer: logFunctionCall(commitHydratedContainer),
-  commitHydratedSuspenseInstance: logFunctionCall(
-    commitHydratedSuspenseInstance
-  ),
-  didNotMatchHydratedContainerTextInstance: logFunctionCall(
-    didNotMatchHydratedContainerTextInstance
-  ),
-  didNotMatchHydratedTextInstance: logFunctionCall(
-    didNotMatchHydratedTextInstance
-  ),
-  didNotHydrateContainerInstance: logFunctionCall(
-    didNotHydrateContainerInstance
-  ),
-  didNotHydrateInstance: logFunctionCall(didNotHydrateInstance),
-  didNotFindHydratableContainerInstance: logFunctionCall(
-    didNotFindHydratableContainerInstance
-  ),
-  didNotFindHydratableContainerTextInstance: logFunctionCall(
-    didNotFindHydratableContainerTextInstance
-  ),
-  didNotFindHydratableContainerSuspenseInstance: logFunctionCall(
-    didNotFindHydratableContainerSuspenseInstance
-  ),
-  didNotFindHydratableInstance: logFunctionCall(didNotFindHydratableInstance),
-  didNotFindHydratableTextInstance: logFunctionCall(
-    didNotFindHydratableTextInstance
-  ),
-  didNotFindHydratableSuspenseInstance: logFunctionCall(
-    didNotFindHydratableSuspenseInstance
-  ),
-  errorHydratingContainer: logFunctionCall(errorHydratingContainer),
+  canHydrateInstance,
+  canHydrateTextInstance,
+  canHydrateSuspenseInstance,
+  isSuspenseInstancePending,
+  isSuspenseInstanceFallback,
+  getSuspenseInstanceFallbackErrorDetails,
+  registerSuspenseInstanceRetry,
+  getNextHydratableSibling,
+  getFirstHydratableChild,
+  getFirstHydratableChildWithinContainer,
+  getFirstHydratableChildWithinSuspenseInstance,
+  hydrateInstance,
+  hydrateTextInstance,
+  hydrateSuspenseInstance,
+  getNextHydratableInstanceAfterSuspenseInstance,
+  getParentSuspenseInstance,
+  commitHydratedContainer,
+  commitHydratedSuspenseInstance,
+  clearSuspenseBoundary,
+  clearSuspenseBoundaryFromContainer,
+  shouldDeleteUnhydratedTailInstances,
+  isHiddenSubtree,
+  didNotMatchHydratedContainerTextInstance,
+  didNotMatchHydratedTextInstance,
+  didNotHydrateInstanceWithinContainer,
+  didNotHydrateInstanceWithinSuspenseInstance,
+  didNotHydrateInstance,
+  didNotFindHydratableInstanceWithinContainer,
+  didNotFindHydratableTextInstanceWithinContainer,
+  didNotFindHydratableSuspenseInstanceWithinContainer,
+  didNotFindHydratableInstanceWithinSuspenseInstance,
+  didNotFindHydratableTextInstanceWithinSuspenseInstance,
+  didNotFindHydratableSuspenseInstanceWithinSuspenseInstance,
+  didNotFindHydratableInstance,
+  didNotFindHydratableTextInstance,
+  didNotFindHydratableSuspenseInstance,
+  errorHydratingContainer,
 };
-const reconciler = ReactReconciler(hostConfig);
+const reconciler = ReactReconciler(traceHostConfig(hostConfig));
 
 export default reconciler;
@@ -0,0 +1,156 @@
+import * as PIXI from "pixi.js";
+import { Suspense } from "react";
+
+import { PixiComponent } from "./registry";
+import { act, createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_RECTANGLE, TYPE_TEXT } from "./types";
+
+/**
+ * `toEqual` compares display objects by structure, so compare positions in `expected` instead to check identity.
+ */
+function indicesOf(children, expected) {
+  return children.map((child) => expected.indexOf(child));
+}
+
+function List({ keys }) {
+  return (
+    <TYPE_CONTAINER>
+      {keys.map((key) => (
+        <TYPE_CONTAINER key={key}>
+          <TYPE_RECTANGLE width={10} height={10} />
+        </TYPE_CONTAINER>
+      ))}
+    </TYPE_CONTAINER>
+  );
+}
+
+describe("children", () => {
+  test("reorders keyed children without recreating them", () => {
+    const root = createTestRoot();
+
+    root.render(<List keys={["a", "b", "c", "d"]} />);
+    const [list] = root.stage.children;
+    const [a, b, c, d] = list.children;
+
+    root.render(<List keys={["d", "b", "a", "c"]} />);
+    expect(indicesOf(list.children, [a, b, c, d])).toEqual([3, 1, 0, 2]);
+
+    root.render(<List keys={["c", "e", "d", "b", "a"]} />);
+    expect(indicesOf(list.children, [a, b, c, d])).toEqual([2, -1, 3, 1, 0]);
+    expect([a, b, c, d].some((child) => child.destroyed)).toBe(false);
+
+    root.unmount();
+  });
+
+  test("destroys removed children along with their descendants", () => {
+    const root = createTestRoot();
+
+    root.render(<List keys={["a", "b", "c"]} />);
+    const [list] = root.stage.children;
+    const [a, b, c] = list.children;
+    const [rectangle] = b.children;
+    const [lastRectangle] = c.children;
+
+    root.render(<List keys={["a", "c"]} />);
+    expect(indicesOf(list.children, [a, b, c])).toEqual([0, 2]);
+    expect(b.destroyed).toBe(true);
+    expect(rectangle.destroyed).toBe(true);
+    expect(a.destroyed).toBe(false);
+
+    root.unmount();
+    expect(root.stage.children).toHaveLength(0);
+    expect(list.destroyed).toBe(true);
+    expect(lastRectangle.destroyed).toBe(true);
+  });
+});
+
+describe("Suspense", () => {
+  function createResource() {
+    let resolve;
+    const resource = {
+      status: "pending",
+      promise: new Promise((r) => {
+        resolve = r;
+      }),
+    };
+
+    resource.resolve = () => {
+      resource.status = "resolved";
+      resolve();
+    };
+    return resource;
+  }
+
+  function Content({ resource }) {
+    if (resource && resource.status === "pending") {
+      throw resource.promise;
+    }
+    return <TYPE_RECTANGLE width={10} height={10} />;
+  }
+
+  function Scene({ resource }) {
+    return (
+      <Suspense fallback={<TYPE_TEXT>Loading</TYPE_TEXT>}>
+        <TYPE_CONTAINER x={1} />
+        <TYPE_CONTAINER x={2} visible={false} />
+        <Content resource={resource} />
+      </Suspense>
+    );
+  }
+
+  test("hides content while suspended and shows it again", async () => {
+    const root = createTestRoot();
+
+    root.render(<Scene />);
+    const [visible, invisible, rectangle] = root.stage.children;
+
+    const resource = createResource();
+    root.render(<Scene resource={resource} />);
+    expect(
+      indicesOf(root.stage.children, [visible, invisible, rectangle])
+    ).toEqual([0, 1, 2, -1]);
+    expect(
+      [visible, invisible, rectangle].map((child) => child.visible)
+    ).toEqual([false, false, false]);
+    expect(root.stage.children[3].text).toBe("Loading");
+
+    await act(async () => {
+      resource.resolve();
+      await resource.promise;
+    });
+    expect(
+      indicesOf(root.stage.children, [visible, invisible, rectangle])
+    ).toEqual([0, 1, 2]);
+    expect(
+      [visible, invisible, rectangle].map((child) => child.visible)
+    ).toEqual([true, false, true]);
+
+    root.unmount();
+  });
+});
+
+describe("updates", () => {
+  const applyProps = jest.fn();
+  const TYPE_PROBE = PixiComponent("reconcilerProbe", {
+    create: () => new PIXI.Container(),
+    applyProps,
+  });
+
+  test("only applies props when one of them changed", () => {
+    const root = createTestRoot();
+
+    root.render(<TYPE_PROBE style={{ fill: "red" }} scale={[1, 2]} />);
+    root.render(<TYPE_PROBE style={{ fill: "red" }} scale={[1, 2]} />);
+    expect(applyProps).toHaveBeenCalledTimes(1);
+
+    root.render(<TYPE_PROBE style={{ fill: "red" }} />);
+    expect(applyProps).toHaveBeenCalledTimes(2);
+    expect(applyProps).toHaveBeenLastCalledWith(
+      root.stage.getChildAt(0),
+      { style: { fill: "red" }, scale: [1, 2] },
+      { style: { fill: "red" } }
+    );
+
+    root.unmount();
+  });
+});
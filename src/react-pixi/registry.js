@@ -0,0 +1,50 @@
+import { applyDisplayObjectProps } from "./props";
+
+/**
+ * Every element type the reconciler knows how to create, mapped to its definition. See `PixiComponent`.
+ */
+const components = new Map();
+
+/**
+ * Registers a host element type called `name` and returns `name`, which can be used as a JSX element type just like the built-in `TYPE_*` constants:
+ *
+ * ```
+ * const Emitter = PixiComponent("emitter", {
+ *   create: (props) => new ParticleEmitter(props.config),
+ *   applyProps: (emitter, oldProps, newProps) => { ... },
+ * });
+ *
+ * <Emitter config={config} x={100} />
+ * ```
+ *
+ * The definition may contain:
+ *
+ * - `create(props, rootContainer)`: required. Returns a new `PIXI.DisplayObject` for the element. Runs in the render phase, so it must not touch anything but the new instance.
+ * - `applyProps(instance, oldProps, newProps)`: writes props onto the instance. Called with `{}` as `oldProps` right after `create`, then whenever props change. Defaults to applying the display object props every element supports (`x`, `y`, `scale`, event handlers, ...).
+ * - `didMount(instance, props)`: called once the instance has been added to the scene.
+ * - `willUnmount(instance, props)`: called before the instance is removed from the scene and destroyed.
+ * - `canHydrate(instance, props)`: returns `true` if an existing display object built outside of React can become this element's instance, see `hydrateRoot`. Element types without it can't be hydrated.
+ *
+ * Throws if `name` is already registered.
+ */
+export function PixiComponent(name, definition) {
+  if (components.has(name)) {
+    throw new Error(`Element type ${name} is already registered`);
+  }
+  if (typeof definition.create !== "function") {
+    throw new Error(`Element type ${name} must define a create function`);
+  }
+
+  components.set(name, {
+    applyProps: applyDisplayObjectProps,
+    ...definition,
+  });
+  return name;
+}
+
+/**
+ * Returns the definition registered for `type`, or `undefined` if there isn't one.
+ */
+export function getComponent(type) {
+  return components.get(type);
+}
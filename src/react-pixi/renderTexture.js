@@ -0,0 +1,108 @@
+import * as PIXI from "pixi.js";
+
+import { hasChanged } from "./props";
+import { TYPE_RENDER_TEXTURE } from "./types";
+
+/**
+ * A container which draws its children into a `PIXI.RenderTexture` instead of onto the screen, so that sprites can show them through `texture`. See `RenderTexture`.
+ *
+ * The texture is redrawn at the start of every render of the renderer which last drew the container, so it lags one frame behind once the container is first rendered.
+ */
+export class RenderTextureContainer extends PIXI.Container {
+  constructor() {
+    super();
+
+    this.ownTexture = PIXI.RenderTexture.create({ width: 100, height: 100 });
+    this.texture = this.ownTexture;
+    this.renderer = null;
+    this.isRenderingTexture = false;
+    // Children aren't where they're drawn, so they can't be hit.
+    this.interactiveChildren = false;
+  }
+
+  /**
+   * Draws into `texture`, or into a texture of its own of the given size if `texture` is `undefined`.
+   */
+  setTexture(texture, width = 100, height = 100, resolution = 1) {
+    this.texture = texture || this.ownTexture;
+    if (!texture) {
+      this.ownTexture.setResolution(resolution);
+      this.ownTexture.resize(width, height);
+    }
+  }
+
+  updateTexture() {
+    if (this.isRenderingTexture || this.destroyed) {
+      return;
+    }
+
+    // Rendering into the texture emits `prerender` again, and resets a flag the render in progress has already set.
+    const { renderingToScreen } = this.renderer;
+    this.isRenderingTexture = true;
+    try {
+      this.renderer.render(this, { renderTexture: this.texture, clear: true });
+    } finally {
+      this.isRenderingTexture = false;
+      this.renderer.renderingToScreen = renderingToScreen;
+    }
+  }
+
+  attachRenderer(renderer) {
+    if (this.renderer === renderer) {
+      return;
+    }
+    this.detachRenderer();
+    this.renderer = renderer;
+    renderer.on("prerender", this.updateTexture, this);
+  }
+
+  detachRenderer() {
+    if (this.renderer) {
+      this.renderer.off("prerender", this.updateTexture, this);
+      this.renderer = null;
+    }
+  }
+
+  render(renderer) {
+    if (this.isRenderingTexture) {
+      super.render(renderer);
+    } else {
+      this.attachRenderer(renderer);
+    }
+  }
+
+  /**
+   * `PIXI.CanvasRenderer` calls this instead of `render`.
+   */
+  renderCanvas(renderer) {
+    if (this.isRenderingTexture) {
+      super.renderCanvas(renderer);
+    } else {
+      this.attachRenderer(renderer);
+    }
+  }
+
+  destroy(options) {
+    this.detachRenderer();
+    this.ownTexture.destroy(true);
+    super.destroy(options);
+  }
+}
+
+/**
+ * Applies the props of a `renderTexture` element: either `texture`, a `PIXI.RenderTexture` to draw into, or `width`, `height` and `resolution` for a texture the element creates and destroys along with itself. Passing a texture of your own lets sprites use it in the same render as the element; otherwise read it from the element's ref once it has mounted.
+ */
+export function applyRenderTextureProps(container, oldProps, newProps) {
+  if (
+    hasChanged(oldProps, newProps, ["texture", "width", "height", "resolution"])
+  ) {
+    const { texture, width, height, resolution } = newProps;
+
+    container.setTexture(texture, width, height, resolution);
+  }
+}
+
+/**
+ * The `renderTexture` element type under a component-like name, for `<RenderTexture texture={texture}>...</RenderTexture>`. Its children are drawn into the texture rather than where the element is, see `RenderTextureContainer`.
+ */
+export const RenderTexture = TYPE_RENDER_TEXTURE;
@@ -0,0 +1,120 @@
+import * as PIXI from "pixi.js";
+import { createRef } from "react";
+
+import { RenderTexture } from "./renderTexture";
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER } from "./types";
+
+/**
+ * Records which named display objects it draws, and into which render texture (`null` for the screen), instead of drawing them. Like PIXI's renderers it emits `prerender` before drawing, and it draws through `render`, or through `renderCanvas` as `PIXI.CanvasRenderer` does.
+ */
+class RecordingRenderer extends PIXI.utils.EventEmitter {
+  constructor(method) {
+    super();
+
+    this.method = method;
+    this.renderingToScreen = true;
+    this.target = null;
+    this.drawn = [];
+  }
+
+  render(displayObject, { renderTexture = null } = {}) {
+    const { target } = this;
+
+    this.renderingToScreen = !renderTexture;
+    this.emit("prerender");
+    this.target = renderTexture;
+    displayObject[this.method](this);
+    this.target = target;
+  }
+
+  draw(displayObject) {
+    if (displayObject.name) {
+      this.drawn.push([displayObject.name, this.target]);
+    }
+  }
+}
+
+function recordDraw(renderer) {
+  renderer.draw(this);
+}
+
+// `pixi.js` has no canvas renderer, which adds `renderCanvas` to display objects.
+function recordCanvasDraw(renderer) {
+  renderer.draw(this);
+  this.children.forEach((child) => child.renderCanvas(renderer));
+}
+
+beforeEach(() => {
+  jest
+    .spyOn(PIXI.Container.prototype, "_render")
+    .mockImplementation(recordDraw);
+  PIXI.Container.prototype.renderCanvas = recordCanvasDraw;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete PIXI.Container.prototype.renderCanvas;
+});
+
+test.each(["render", "renderCanvas"])(
+  "draws its children into the texture with %s, not onto the screen",
+  (method) => {
+    const root = createTestRoot();
+    const renderer = new RecordingRenderer(method);
+    const ref = createRef();
+
+    root.render(
+      <>
+        <RenderTexture ref={ref} width={64} height={32}>
+          <TYPE_CONTAINER name="inside" />
+        </RenderTexture>
+        <TYPE_CONTAINER name="outside" />
+      </>
+    );
+    const { texture } = ref.current;
+
+    // The first render only lets the element find the renderer.
+    renderer.render(root.stage);
+    expect(renderer.drawn).toEqual([["outside", null]]);
+
+    renderer.drawn = [];
+    renderer.render(root.stage);
+    expect(renderer.drawn).toEqual([
+      ["inside", texture],
+      ["outside", null],
+    ]);
+    expect(renderer.renderingToScreen).toBe(true);
+
+    root.unmount();
+    expect(renderer.listenerCount("prerender")).toBe(0);
+  }
+);
+
+test("creates a texture of its own unless given one", () => {
+  const root = createTestRoot();
+  const ref = createRef();
+  const external = PIXI.RenderTexture.create({ width: 10, height: 10 });
+
+  root.render(
+    <RenderTexture ref={ref} width={64} height={32} resolution={2} />
+  );
+  const own = ref.current.texture;
+  expect([own.width, own.height, own.baseTexture.resolution]).toEqual([
+    64, 32, 2,
+  ]);
+
+  root.render(<RenderTexture ref={ref} texture={external} />);
+  expect(ref.current.texture).toBe(external);
+
+  root.render(<RenderTexture ref={ref} width={16} height={16} />);
+  expect(ref.current.texture).toBe(own);
+  expect([own.width, own.height, own.baseTexture.resolution]).toEqual([
+    16, 16, 1,
+  ]);
+
+  root.render(<RenderTexture ref={ref} texture={external} />);
+  root.unmount();
+  expect(own.baseTexture).toBe(null);
+  expect(external.baseTexture.destroyed).toBe(false);
+});
@@ -0,0 +1,185 @@
+import { ConcurrentRoot } from "react-reconciler/constants";
+
+import { AppProvider } from "./hooks";
+import reconciler from "./reconciler";
+import { attachRootTicker, withBatchingTicker } from "./scheduling";
+
+/**
+ * Every PIXI container with a React tree rendered into it, mapped to the reconciler's `FiberRoot` for that tree. Each container can hold at most one root, but any number of containers can have roots at the same time.
+ */
+const containerRoots = new WeakMap();
+
+/**
+ * Returns the `FiberRoot` rendered into `container`, or `undefined` if there isn't one.
+ */
+export function getContainerRoot(container) {
+  return containerRoots.get(container);
+}
+
+function assertNoContainerRoot(container) {
+  if (containerRoots.has(container)) {
+    throw new Error(
+      "This PIXI container already has a root. Unmount it before creating another one."
+    );
+  }
+}
+
+function getRootOptions(options = {}) {
+  const {
+    isStrictMode = false,
+    identifierPrefix = "",
+    onRecoverableError = console.error,
+    app = null,
+    batchToTicker = null,
+  } = options;
+
+  return {
+    isStrictMode,
+    identifierPrefix,
+    onRecoverableError,
+    app,
+    batchToTicker,
+  };
+}
+
+/**
+ * Wraps `element` in an `AppProvider` when the root was given an `app`, so that every update of the root sees it.
+ */
+function provideApp(element, app) {
+  return app ? <AppProvider app={app}>{element}</AppProvider> : element;
+}
+
+/**
+ * Creates a `FiberRoot` of the given `tag` (`LegacyRoot` or `ConcurrentRoot`) for `container`.
+ *
+ * - `isStrictMode`: run the whole tree in strict mode.
+ * - `identifierPrefix`: prefix for ids generated by `useId`, to keep them unique across roots.
+ * - `onRecoverableError`: called with errors React recovers from by itself. Defaults to `console.error`.
+ * - `app`: the `PIXI.Application` the container belongs to, returned by `useApp` and used by `useTick` anywhere in the tree. `Stage` passes its own application.
+ * - `batchToTicker`: a `PIXI.Ticker` to batch commits to, usually `app.ticker`. Updates made by `useTick` callbacks, by `root.render` and by handlers of discrete events such as `pointertap` are then rendered and committed together, once, just before the next frame is drawn. Handlers of continuous events (`pointermove`, `pointerover`, `pointerout`) keep their priority and are committed by React's scheduler as soon as possible, without waiting for the frame. Updates inside `startTransition` keep being rendered in the background, and nothing is committed while the ticker is stopped. Only used by `createRoot` and `hydrateRoot`.
+ */
+export function createContainerRoot(container, tag, options) {
+  assertNoContainerRoot(container);
+
+  const { isStrictMode, identifierPrefix, onRecoverableError } =
+    getRootOptions(options);
+  const fiberRoot = reconciler.createContainer(
+    container,
+    tag,
+    null,
+    isStrictMode,
+    null,
+    identifierPrefix,
+    onRecoverableError,
+    null
+  );
+  containerRoots.set(container, fiberRoot);
+  return fiberRoot;
+}
+
+/**
+ * Like `createContainerRoot`, but the root starts by hydrating `element`: the display objects already in `container` are matched up with the elements React renders and reused instead of being recreated. See `hydrateRoot`.
+ */
+export function hydrateContainerRoot(
+  container,
+  tag,
+  element,
+  options,
+  callback
+) {
+  assertNoContainerRoot(container);
+
+  const { isStrictMode, identifierPrefix, onRecoverableError, app } =
+    getRootOptions(options);
+  const fiberRoot = reconciler.createHydrationContainer(
+    provideApp(element, app),
+    callback,
+    container,
+    tag,
+    null,
+    isStrictMode,
+    null,
+    identifierPrefix,
+    onRecoverableError,
+    null
+  );
+  containerRoots.set(container, fiberRoot);
+  return fiberRoot;
+}
+
+/**
+ * Synchronously unmounts the tree rendered into `container`, destroying every display object React created. Returns `false` if there was nothing to unmount.
+ */
+export function unmountContainerRoot(container) {
+  const fiberRoot = containerRoots.get(container);
+  if (!fiberRoot) {
+    return false;
+  }
+
+  reconciler.flushSync(() => {
+    reconciler.updateContainer(null, fiberRoot, null, null);
+  });
+  containerRoots.delete(container);
+  return true;
+}
+
+function createRootHandle(container, fiberRoot, options) {
+  const { app, batchToTicker: ticker } = getRootOptions(options);
+  const detachTicker = ticker ? attachRootTicker(container, ticker) : null;
+  let isUnmounted = false;
+
+  return {
+    render(element, callback) {
+      if (isUnmounted) {
+        throw new Error("Cannot update a root that has been unmounted.");
+      }
+      const update = () =>
+        reconciler.updateContainer(
+          provideApp(element, app),
+          fiberRoot,
+          null,
+          callback
+        );
+
+      if (ticker) {
+        withBatchingTicker(ticker, update);
+      } else {
+        update();
+      }
+    },
+    unmount() {
+      if (isUnmounted) {
+        return;
+      }
+      isUnmounted = true;
+      if (detachTicker) {
+        detachTicker();
+      }
+      unmountContainerRoot(container);
+    },
+  };
+}
+
+/**
+ * Creates a concurrent root for `container`, mirroring `createRoot` from `react-dom/client`. See `createContainerRoot` for `options`.
+ */
+export function createRoot(container, options) {
+  return createRootHandle(
+    container,
+    createContainerRoot(container, ConcurrentRoot, options),
+    options
+  );
+}
+
+/**
+ * Creates a concurrent root which takes ownership of the display objects already in `container`, mirroring `hydrateRoot` from `react-dom/client`. This is how a scene built by imperative code can be handed over to React without recreating it.
+ *
+ * Each element is matched with the display object at the same position, which must be of the same class. The props the element sets are then applied to it. Mismatches are reported with `console.error` in development; because this is a concurrent root, React then gives up on hydrating and renders the whole scene from scratch. `ReactPixi.hydrate` is more forgiving. See `createContainerRoot` for `options`.
+ */
+export function hydrateRoot(container, element, options) {
+  return createRootHandle(
+    container,
+    hydrateContainerRoot(container, ConcurrentRoot, element, options),
+    options
+  );
+}
@@ -0,0 +1,148 @@
+import { isPlainObject } from "./props";
+import { getInstanceRecord } from "./reconciler";
+import { getComponent } from "./registry";
+import { TYPE_TEXT } from "./types";
+
+/**
+ * Version of the scene document format produced by `serializeScene`. Bumped whenever documents from an older version can no longer be loaded as they are.
+ */
+export const SCENE_VERSION = 1;
+
+/**
+ * Returns `value` as plain JSON data, or `undefined` if it can't be represented: functions, refs and instances of classes such as textures or filters.
+ */
+function toJSONValue(value) {
+  if (
+    value === null ||
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value))
+  ) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(toJSONValue);
+
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (isPlainObject(value) && !("current" in value)) {
+    const object = {};
+    for (const key in value) {
+      const item = toJSONValue(value[key]);
+
+      if (item === undefined) {
+        return undefined;
+      }
+      object[key] = item;
+    }
+    return object;
+  }
+  return undefined;
+}
+
+function serializeChildren(displayObject) {
+  return displayObject.children.flatMap((child) => {
+    const node = serializeNode(child);
+
+    return node ? [node] : [];
+  });
+}
+
+function serializeNode(displayObject) {
+  const record = getInstanceRecord(displayObject);
+  if (!record) {
+    return null;
+  }
+
+  const props = {};
+  for (const key in record.props) {
+    const value = toJSONValue(record.props[key]);
+
+    if (key !== "children" && value !== undefined) {
+      props[key] = value;
+    }
+  }
+
+  return {
+    type: record.type,
+    props,
+    children:
+      record.type === TYPE_TEXT
+        ? [displayObject.text]
+        : serializeChildren(displayObject),
+  };
+}
+
+/**
+ * Converts the scene React rendered into `stage` into a JSON-compatible document which `SceneFromJSON` can render again:
+ *
+ * ```
+ * {
+ *   "version": 1,
+ *   "children": [
+ *     { "type": "container", "props": { "x": 10 }, "children": [
+ *       { "type": "text", "props": {}, "children": ["Score: 3"] }
+ *     ] }
+ *   ]
+ * }
+ * ```
+ *
+ * Only what can be stored as JSON is kept. Props holding functions, refs, textures, filters or any other class instance are left out, as are display objects which weren't created by React.
+ */
+export function serializeScene(stage) {
+  return { version: SCENE_VERSION, children: serializeChildren(stage) };
+}
+
+function validateNode(node, path, isInsideText) {
+  if (typeof node === "string") {
+    if (!isInsideText) {
+      throw new Error(
+        `Invalid scene at ${path}: text must be inside a ${TYPE_TEXT} element`
+      );
+    }
+    return;
+  }
+  if (!isPlainObject(node) || typeof node.type !== "string") {
+    throw new Error(
+      `Invalid scene at ${path}: expected an element with a type`
+    );
+  }
+  if (isInsideText) {
+    throw new Error(
+      `Invalid scene at ${path}: element type ${node.type} cannot be rendered inside a ${TYPE_TEXT} element`
+    );
+  }
+  if (!getComponent(node.type)) {
+    throw new Error(
+      `Invalid scene at ${path}: unknown element type ${node.type}`
+    );
+  }
+  if (node.props !== undefined && !isPlainObject(node.props)) {
+    throw new Error(`Invalid scene at ${path}: props must be an object`);
+  }
+  validateChildren(node.children, path, node.type === TYPE_TEXT);
+}
+
+function validateChildren(children = [], path, isInsideText) {
+  if (!Array.isArray(children)) {
+    throw new Error(`Invalid scene at ${path}: children must be an array`);
+  }
+  children.forEach((child, i) =>
+    validateNode(child, `${path}.children[${i}]`, isInsideText)
+  );
+}
+
+/**
+ * Throws if `scene` isn't a document `SceneFromJSON` can render: a document of another version, an element type which isn't registered, or text outside of a `text` element. The error names the offending node, e.g. `scene.children[0].children[2]`.
+ */
+export function validateScene(scene) {
+  if (!isPlainObject(scene)) {
+    throw new Error("Invalid scene: expected an object");
+  }
+  if (scene.version !== SCENE_VERSION) {
+    throw new Error(
+      `Invalid scene: unsupported version ${scene.version}, expected ${SCENE_VERSION}`
+    );
+  }
+  validateChildren(scene.children, "scene", false);
+}
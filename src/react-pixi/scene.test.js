@@ -0,0 +1,77 @@
+import { createRef } from "react";
+
+import { SceneFromJSON } from "./SceneFromJSON";
+import { SCENE_VERSION, serializeScene, validateScene } from "./scene";
+import { createTestRoot } from "./test-utils";
+import {
+  TYPE_CONTAINER,
+  TYPE_RECTANGLE,
+  TYPE_SPRITE,
+  TYPE_TEXT,
+} from "./types";
+
+test("round-trips a scene through serializeScene and SceneFromJSON", () => {
+  const root = createTestRoot();
+  const mask = createRef();
+
+  root.render(
+    <TYPE_CONTAINER x={5} scale={[2, 3]} onClick={() => {}}>
+      <TYPE_TEXT style={{ fill: "red" }}>Score: {3}</TYPE_TEXT>
+      <TYPE_RECTANGLE ref={mask} width={3} height={4} fill={0xff0000} />
+      <TYPE_SPRITE image="hero.png" mask={mask} filters={[{ type: "blur" }]} />
+    </TYPE_CONTAINER>
+  );
+  const scene = JSON.parse(JSON.stringify(serializeScene(root.stage)));
+  expect(scene).toEqual({
+    version: SCENE_VERSION,
+    children: [
+      {
+        type: TYPE_CONTAINER,
+        props: { x: 5, scale: [2, 3] },
+        children: [
+          {
+            type: TYPE_TEXT,
+            props: { style: { fill: "red" } },
+            children: ["Score: 3"],
+          },
+          {
+            type: TYPE_RECTANGLE,
+            props: { width: 3, height: 4, fill: 0xff0000 },
+            children: [],
+          },
+          {
+            type: TYPE_SPRITE,
+            props: { image: "hero.png", filters: [{ type: "blur" }] },
+            children: [],
+          },
+        ],
+      },
+    ],
+  });
+  root.unmount();
+
+  const copy = createTestRoot();
+  copy.render(<SceneFromJSON data={scene} />);
+  expect(serializeScene(copy.stage)).toEqual(scene);
+  const [container] = copy.stage.children;
+  expect(container.scale.y).toBe(3);
+  expect(container.children[0].text).toBe("Score: 3");
+  copy.unmount();
+});
+
+test("reports where a scene is invalid", () => {
+  expect(() => validateScene({ version: 0, children: [] })).toThrow(
+    `unsupported version 0, expected ${SCENE_VERSION}`
+  );
+  expect(() =>
+    validateScene({
+      version: SCENE_VERSION,
+      children: [{ type: TYPE_CONTAINER, children: [{ type: "nope" }] }],
+    })
+  ).toThrow(
+    "Invalid scene at scene.children[0].children[0]: unknown element type nope"
+  );
+  expect(() =>
+    validateScene({ version: SCENE_VERSION, children: ["Score"] })
+  ).toThrow("Invalid scene at scene.children[0]: text must be inside");
+});
@@ -0,0 +1,85 @@
+import * as PIXI from "pixi.js";
+
+/**
+ * Runs after `useTick` callbacks (`NORMAL`) but before `PIXI.Application` renders the stage (`LOW`), so updates made by tick callbacks are committed in time for the frame that drew them.
+ */
+const COMMIT_PRIORITY = PIXI.UPDATE_PRIORITY.LOW + 1;
+
+/**
+ * Runs right after the interaction manager (`INTERACTION`), so every listener which may update React during a frame is inside the batch.
+ */
+const BATCH_START_PRIORITY = PIXI.UPDATE_PRIORITY.INTERACTION - 1;
+
+/**
+ * The ticker which updates scheduled right now are batched to, or `null` if they're committed as soon as React is ready.
+ */
+let activeTicker = null;
+
+/**
+ * The containers of roots created with the `batchToTicker` option, mapped to their ticker.
+ */
+const rootTickers = new WeakMap();
+
+/**
+ * Returns the ticker which updates scheduled right now are batched to, or `null`.
+ */
+export function getBatchingTicker() {
+  return activeTicker;
+}
+
+/**
+ * Calls `fn`, batching the updates it schedules to frames of `ticker`.
+ */
+export function withBatchingTicker(ticker, fn) {
+  const previousTicker = activeTicker;
+  activeTicker = ticker;
+  try {
+    return fn();
+  } finally {
+    activeTicker = previousTicker;
+  }
+}
+
+/**
+ * Returns the ticker of the batched root `displayObject` was rendered into, or `null` if it isn't part of one.
+ */
+export function findRootTicker(displayObject) {
+  for (let node = displayObject; node; node = node.parent) {
+    const ticker = rootTickers.get(node);
+    if (ticker) {
+      return ticker;
+    }
+  }
+  return null;
+}
+
+/**
+ * Batches the updates of the root rendered into `container` to frames of `ticker`: updates made by `useTick` callbacks, by `root.render` and by handlers of discrete events are committed together, once, just before the frame is drawn. Returns a function which stops batching.
+ *
+ * Only discrete and default updates are batched. Handlers of continuous events such as `pointermove` keep their priority, so their updates are committed by React's scheduler rather than held until the frame. Updates from anywhere else, such as timers or promises, are not batched either, and a discrete update of another root flushes the pending updates of every root with it.
+ */
+export function attachRootTicker(container, ticker) {
+  const start = () => {
+    activeTicker = ticker;
+  };
+  const end = () => {
+    activeTicker = null;
+  };
+
+  rootTickers.set(container, ticker);
+  ticker.add(start, null, BATCH_START_PRIORITY);
+  ticker.add(end, null, COMMIT_PRIORITY);
+
+  return () => {
+    rootTickers.delete(container);
+    ticker.remove(start);
+    ticker.remove(end);
+  };
+}
+
+/**
+ * Calls `fn` just before the next frame of `ticker`, after the batch started by `attachRootTicker` has ended.
+ */
+export function scheduleOnFrame(ticker, fn) {
+  ticker.addOnce(fn, null, COMMIT_PRIORITY);
+}
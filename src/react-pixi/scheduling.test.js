@@ -0,0 +1,105 @@
+import * as PIXI from "pixi.js";
+import { useState } from "react";
+
+import { createRoot, useTick } from "./index";
+import { installHeadlessCanvas } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_RECTANGLE } from "./types";
+
+// Batching is about when React commits, which `act` would take over.
+window.IS_REACT_ACT_ENVIRONMENT = false;
+
+beforeAll(installHeadlessCanvas);
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+function Counter() {
+  const [taps, setTaps] = useState(0);
+  const [moves, setMoves] = useState(0);
+
+  return (
+    <TYPE_CONTAINER x={taps} y={moves}>
+      <TYPE_RECTANGLE
+        width={10}
+        height={10}
+        onClick={() => setTaps(taps + 1)}
+        onPointerMove={() => setMoves(moves + 1)}
+      />
+    </TYPE_CONTAINER>
+  );
+}
+
+function positionOf(displayObject) {
+  return [displayObject.x, displayObject.y];
+}
+
+function emit(displayObject, eventName) {
+  displayObject.emit(eventName, new PIXI.InteractionEvent());
+}
+
+test("commits of a root batched to a ticker wait for its next frame", async () => {
+  const ticker = new PIXI.Ticker();
+  const stage = new PIXI.Container();
+  const root = createRoot(stage, { batchToTicker: ticker });
+
+  root.render(<Counter />);
+  await nextTask();
+  expect(stage.children).toHaveLength(0);
+
+  ticker.update(1000);
+  const container = stage.getChildAt(0);
+  const rectangle = container.getChildAt(0);
+  expect(positionOf(container)).toEqual([0, 0]);
+
+  emit(rectangle, "pointertap");
+  await nextTask();
+  expect(positionOf(container)).toEqual([0, 0]);
+  ticker.update(2000);
+  expect(positionOf(container)).toEqual([1, 0]);
+
+  // Continuous events keep their priority and are rendered without waiting for a frame.
+  emit(rectangle, "pointermove");
+  await nextTask();
+  expect(positionOf(container)).toEqual([1, 1]);
+
+  root.unmount();
+  expect(ticker.count).toBe(0);
+});
+
+test("updates from useTick are committed before the frame is drawn", () => {
+  const ticker = new PIXI.Ticker();
+  const stage = new PIXI.Container();
+  const root = createRoot(stage, {
+    app: { ticker },
+    batchToTicker: ticker,
+  });
+  const draw = jest.fn(() => stage.getChildAt(0).x);
+
+  function Frames() {
+    const [frames, setFrames] = useState(0);
+
+    useTick(() => setFrames((value) => value + 1));
+    return <TYPE_CONTAINER x={frames} />;
+  }
+
+  root.render(<Frames />);
+  ticker.update(1000);
+  ticker.add(draw, null, PIXI.UPDATE_PRIORITY.LOW);
+
+  ticker.update(2000);
+  expect(draw).toHaveLastReturnedWith(1);
+  ticker.update(3000);
+  expect(draw).toHaveLastReturnedWith(2);
+
+  root.unmount();
+});
+
+test("roots without batchToTicker commit as soon as possible", async () => {
+  const stage = new PIXI.Container();
+  const root = createRoot(stage);
+
+  root.render(<TYPE_CONTAINER />);
+  await nextTask();
+  expect(stage.children).toHaveLength(1);
+
+  root.unmount();
+});
@@ -0,0 +1,136 @@
+import {
+  TYPE_CIRCLE,
+  TYPE_ELLIPSE,
+  TYPE_LINE,
+  TYPE_POLYGON,
+  TYPE_RECTANGLE,
+  TYPE_ROUNDED_RECT,
+} from "./types";
+
+/**
+ * Props shared by every shape which control how it is filled and outlined.
+ *
+ * - `fill`: fill colour, defaults to white. Pass `null` for no fill.
+ * - `fillAlpha`: fill opacity, defaults to `1`.
+ * - `lineStyle`: outline as `{ width, color, alpha }`. No outline by default.
+ */
+const STYLE_PROPS = ["fill", "fillAlpha", "lineStyle"];
+
+function applyLineStyle(graphics, lineStyle) {
+  const { width = 1, color = 0xffffff, alpha = 1 } = lineStyle;
+
+  graphics.lineStyle(width, color, alpha);
+}
+
+/**
+ * Clears `graphics` and draws a filled and outlined shape, with `drawPath` adding the geometry.
+ */
+function drawFilledShape(graphics, props, drawPath) {
+  const { fill = 0xffffff, fillAlpha = 1, lineStyle } = props;
+
+  graphics.clear();
+  if (lineStyle) {
+    applyLineStyle(graphics, lineStyle);
+  }
+  if (fill !== null) {
+    graphics.beginFill(fill, fillAlpha);
+  }
+  drawPath(graphics);
+  if (fill !== null) {
+    graphics.endFill();
+  }
+}
+
+/**
+ * Converts a `points` prop to a flat `[x1, y1, x2, y2, ...]` array. Accepts either that format or a list of `[x, y]` arrays or `{ x, y }` objects.
+ */
+function flattenPoints(points) {
+  if (points.length === 0 || typeof points[0] === "number") {
+    return points;
+  }
+  return points.flatMap((point) =>
+    Array.isArray(point) ? point : [point.x, point.y]
+  );
+}
+
+/**
+ * Every shape element, drawn into a `PIXI.Graphics` relative to its own origin so that `x` and `y` can be applied as a transform. `props` lists the props which change the geometry; updating any of these requires the shape to be redrawn.
+ */
+const SHAPES = {
+  [TYPE_RECTANGLE]: {
+    props: ["width", "height"],
+    draw: (graphics, props) => {
+      const { width = 100, height = 100 } = props;
+
+      drawFilledShape(graphics, props, () =>
+        graphics.drawRect(0, 0, width, height)
+      );
+    },
+  },
+  [TYPE_ROUNDED_RECT]: {
+    props: ["width", "height", "radius"],
+    draw: (graphics, props) => {
+      const { width = 100, height = 100, radius = 10 } = props;
+
+      drawFilledShape(graphics, props, () =>
+        graphics.drawRoundedRect(0, 0, width, height, radius)
+      );
+    },
+  },
+  [TYPE_CIRCLE]: {
+    props: ["radius"],
+    draw: (graphics, props) => {
+      const { radius = 50 } = props;
+
+      drawFilledShape(graphics, props, () => graphics.drawCircle(0, 0, radius));
+    },
+  },
+  [TYPE_ELLIPSE]: {
+    props: ["radiusX", "radiusY"],
+    draw: (graphics, props) => {
+      const { radiusX = 50, radiusY = 25 } = props;
+
+      drawFilledShape(graphics, props, () =>
+        graphics.drawEllipse(0, 0, radiusX, radiusY)
+      );
+    },
+  },
+  [TYPE_POLYGON]: {
+    props: ["points"],
+    draw: (graphics, props) => {
+      const { points = [] } = props;
+
+      drawFilledShape(graphics, props, () =>
+        graphics.drawPolygon(flattenPoints(points))
+      );
+    },
+  },
+  [TYPE_LINE]: {
+    props: ["points"],
+    draw: (graphics, props) => {
+      const { points = [], lineStyle = {} } = props;
+      const coords = flattenPoints(points);
+
+      graphics.clear();
+      applyLineStyle(graphics, lineStyle);
+      for (let i = 0; i < coords.length; i += 2) {
+        if (i === 0) {
+          graphics.moveTo(coords[i], coords[i + 1]);
+        } else {
+          graphics.lineTo(coords[i], coords[i + 1]);
+        }
+      }
+    },
+  },
+};
+
+export function drawShape(graphics, type, props) {
+  SHAPES[type].draw(graphics, props);
+}
+
+/**
+ * Returns the props which require a shape of this `type` to be redrawn when they change.
+ */
+export function getShapeProps(type) {
+  return [...SHAPES[type].props, ...STYLE_PROPS];
+}
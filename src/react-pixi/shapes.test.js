@@ -0,0 +1,126 @@
+import { createTestRoot } from "./test-utils";
+import {
+  TYPE_CIRCLE,
+  TYPE_ELLIPSE,
+  TYPE_LINE,
+  TYPE_POLYGON,
+  TYPE_RECTANGLE,
+  TYPE_ROUNDED_RECT,
+} from "./types";
+
+function boundsOf(graphics) {
+  const { x, y, width, height } = graphics.getLocalBounds();
+
+  return [x, y, width, height].map((value) => Math.round(value * 100) / 100);
+}
+
+test.each([
+  ["rectangle", <TYPE_RECTANGLE width={40} height={20} />, [0, 0, 40, 20]],
+  [
+    "rounded rectangle",
+    <TYPE_ROUNDED_RECT width={40} height={20} radius={5} />,
+    [0, 0, 40, 20],
+  ],
+  ["circle", <TYPE_CIRCLE radius={10} />, [-10, -10, 20, 20]],
+  ["ellipse", <TYPE_ELLIPSE radiusX={10} radiusY={5} />, [-10, -5, 20, 10]],
+  [
+    "polygon from [x, y] points",
+    <TYPE_POLYGON
+      points={[
+        [0, 0],
+        [30, 0],
+        [0, 10],
+      ]}
+    />,
+    [0, 0, 30, 10],
+  ],
+  [
+    "polygon from { x, y } points",
+    <TYPE_POLYGON
+      points={[
+        { x: 0, y: 0 },
+        { x: 30, y: 0 },
+        { x: 0, y: 10 },
+      ]}
+    />,
+    [0, 0, 30, 10],
+  ],
+  [
+    "polygon from flat points",
+    <TYPE_POLYGON points={[0, 0, 30, 0, 0, 10]} />,
+    [0, 0, 30, 10],
+  ],
+  [
+    "line",
+    <TYPE_LINE
+      points={[
+        [0, 5],
+        [30, 5],
+      ]}
+      lineStyle={{ width: 2 }}
+    />,
+    [0, 4, 30, 2],
+  ],
+])("%s is drawn within its bounds", (_, element, bounds) => {
+  const root = createTestRoot();
+
+  root.render(element);
+  expect(boundsOf(root.stage.getChildAt(0))).toEqual(bounds);
+
+  root.unmount();
+});
+
+test("fills and outlines shapes as their style props say", () => {
+  const root = createTestRoot();
+
+  root.render(
+    <TYPE_RECTANGLE
+      width={40}
+      height={20}
+      fill={0xff0000}
+      fillAlpha={0.5}
+      lineStyle={{ width: 4, color: 0x00ff00 }}
+    />
+  );
+  const rectangle = root.stage.getChildAt(0);
+  const [{ fillStyle, lineStyle }] = rectangle.geometry.graphicsData;
+  expect([fillStyle.visible, fillStyle.color, fillStyle.alpha]).toEqual([
+    true,
+    0xff0000,
+    0.5,
+  ]);
+  expect([lineStyle.width, lineStyle.color, lineStyle.alpha]).toEqual([
+    4, 0x00ff00, 1,
+  ]);
+  expect(boundsOf(rectangle)).toEqual([-2, -2, 44, 24]);
+
+  root.render(<TYPE_RECTANGLE width={40} height={20} fill={null} />);
+  const [unfilled] = rectangle.geometry.graphicsData;
+  expect(unfilled.fillStyle.visible).toBe(false);
+  expect(unfilled.lineStyle.visible).toBe(false);
+
+  root.unmount();
+});
+
+test("redraws only when a shape prop changes", () => {
+  const root = createTestRoot();
+
+  root.render(<TYPE_ELLIPSE radiusX={10} radiusY={5} />);
+  const ellipse = root.stage.getChildAt(0);
+  const clear = jest.spyOn(ellipse, "clear");
+
+  root.render(<TYPE_ELLIPSE radiusX={10} radiusY={5} x={20} alpha={0.5} />);
+  expect(clear).not.toHaveBeenCalled();
+  expect(ellipse.x).toBe(20);
+
+  root.render(<TYPE_ELLIPSE radiusX={20} radiusY={5} x={20} alpha={0.5} />);
+  expect(clear).toHaveBeenCalledTimes(1);
+  expect(boundsOf(ellipse)).toEqual([-20, -5, 40, 10]);
+
+  root.render(
+    <TYPE_ELLIPSE radiusX={20} radiusY={5} x={20} alpha={0.5} fill={0} />
+  );
+  expect(clear).toHaveBeenCalledTimes(2);
+
+  root.unmount();
+});
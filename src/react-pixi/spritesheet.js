@@ -0,0 +1,145 @@
+import * as PIXI from "pixi.js";
+
+import { hasChanged } from "./props";
+
+/**
+ * Props which determine the frames an animated sprite plays.
+ */
+const ANIMATION_PROPS = ["spritesheet", "image", "animation"];
+
+/**
+ * Spritesheets parsed from TexturePacker data, keyed by the data object and then by the `image` they were created with. Sprites showing the same sheet share its textures.
+ */
+const spritesheets = new WeakMap();
+
+/**
+ * The latest props of every animated sprite, for sheets which finish parsing after the props were applied.
+ */
+const spriteProps = new WeakMap();
+
+function createSpritesheet(data, image) {
+  const source = image || (data.meta && data.meta.image);
+  if (!source) {
+    throw new Error(
+      "animatedSprite needs an image prop when the spritesheet doesn't name its image"
+    );
+  }
+
+  const sheet = new PIXI.Spritesheet(
+    source instanceof PIXI.Texture
+      ? source.baseTexture
+      : PIXI.BaseTexture.from(source),
+    data
+  );
+
+  // Sheets of up to `PIXI.Spritesheet.BATCH_SIZE` frames are parsed synchronously, larger ones over several frames.
+  sheet.ready = false;
+  sheet.parsed = sheet.parse().then(() => {
+    sheet.ready = true;
+  });
+  if (Object.keys(data.frames).length <= PIXI.Spritesheet.BATCH_SIZE) {
+    sheet.ready = true;
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the `PIXI.Spritesheet` for the `spritesheet` prop, which is either a parsed spritesheet, e.g. from `PIXI.Loader`, or TexturePacker JSON data. `image` overrides the image named in the data's `meta.image`, which is relative to the JSON file rather than the page.
+ */
+function getSpritesheet(spritesheet, image) {
+  if (spritesheet instanceof PIXI.Spritesheet) {
+    return spritesheet;
+  }
+
+  let sheets = spritesheets.get(spritesheet);
+  if (!sheets) {
+    sheets = new Map();
+    spritesheets.set(spritesheet, sheets);
+  }
+
+  let sheet = sheets.get(image);
+  if (!sheet) {
+    sheet = createSpritesheet(spritesheet, image);
+    sheets.set(image, sheet);
+  }
+  return sheet;
+}
+
+/**
+ * Returns the frames of `animation`, or every frame of the sheet in order if no animation is given.
+ */
+function getAnimationTextures(sheet, animation) {
+  if (sheet.ready === false) {
+    return [PIXI.Texture.EMPTY];
+  }
+  if (animation === undefined) {
+    return Object.values(sheet.textures);
+  }
+
+  const textures = sheet.animations[animation];
+  if (!textures) {
+    throw new Error(`Spritesheet has no animation named ${animation}`);
+  }
+  return textures;
+}
+
+function setPlaying(sprite, playing = true) {
+  if (playing) {
+    sprite.play();
+  } else {
+    sprite.stop();
+  }
+}
+
+function setAnimation(sprite, props) {
+  const { spritesheet, image, animation, playing } = props;
+
+  if (!spritesheet) {
+    sprite.textures = [PIXI.Texture.EMPTY];
+    return;
+  }
+
+  const sheet = getSpritesheet(spritesheet, image);
+  sprite.textures = getAnimationTextures(sheet, animation);
+  setPlaying(sprite, playing);
+
+  if (sheet.ready === false) {
+    sheet.parsed.then(() => {
+      const latestProps = spriteProps.get(sprite);
+
+      if (
+        !sprite.destroyed &&
+        !hasChanged(props, latestProps, ANIMATION_PROPS)
+      ) {
+        setAnimation(sprite, latestProps);
+      }
+    });
+  }
+}
+
+/**
+ * Applies the animation props of an `animatedSprite` element:
+ *
+ * - `spritesheet`, `image`, `animation`: the frames to play, see `getSpritesheet`. `animation` names one of the sheet's `animations`; without it every frame of the sheet is played. Changing any of them restarts from the first frame.
+ * - `playing`: defaults to `true`. A sprite which isn't looping stops by itself after its last frame and only plays again when `playing` or the frames change.
+ * - `loop`: defaults to `true`.
+ * - `animationSpeed`: frames per tick of `PIXI.Ticker.shared`, defaults to `1`.
+ * - `onComplete`, `onLoop`, `onFrameChange(currentFrame)`: see `PIXI.AnimatedSprite`.
+ */
+export function applyAnimationProps(sprite, oldProps, newProps) {
+  spriteProps.set(sprite, newProps);
+
+  const { loop = true, animationSpeed = 1 } = newProps;
+  sprite.loop = loop;
+  sprite.animationSpeed = animationSpeed;
+  sprite.onComplete = newProps.onComplete || null;
+  sprite.onLoop = newProps.onLoop || null;
+  sprite.onFrameChange = newProps.onFrameChange || null;
+
+  if (hasChanged(oldProps, newProps, ANIMATION_PROPS)) {
+    setAnimation(sprite, newProps);
+  } else if (hasChanged(oldProps, newProps, ["playing"])) {
+    setPlaying(sprite, newProps.playing);
+  }
+}
@@ -0,0 +1,180 @@
+import * as PIXI from "pixi.js";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_ANIMATED_SPRITE } from "./types";
+
+// Frames only advance through `sprite.update`, not the shared ticker.
+beforeAll(() => {
+  PIXI.Ticker.shared.autoStart = false;
+  PIXI.Ticker.shared.stop();
+});
+
+// Every parsed sheet adds its frames to PIXI's texture cache by name.
+afterEach(() => {
+  PIXI.utils.clearTextureCache();
+});
+
+// Large sheets are parsed over several timeouts, see `createSpritesheet`.
+const batchesParsed = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+function createFrame(x) {
+  return {
+    frame: { x, y: 0, w: 16, h: 16 },
+    rotated: false,
+    trimmed: false,
+    spriteSourceSize: { x: 0, y: 0, w: 16, h: 16 },
+    sourceSize: { w: 16, h: 16 },
+  };
+}
+
+/**
+ * TexturePacker data for a 48 by 16 sheet of three frames.
+ */
+function createSheetData() {
+  return {
+    frames: {
+      "walk_0.png": createFrame(0),
+      "walk_1.png": createFrame(16),
+      "idle_0.png": createFrame(32),
+    },
+    animations: {
+      walk: ["walk_0.png", "walk_1.png"],
+      idle: ["idle_0.png"],
+    },
+    meta: { image: "sheet.png", size: { w: 48, h: 16 }, scale: "1" },
+  };
+}
+
+function createSheetImage() {
+  const canvas = document.createElement("canvas");
+  canvas.width = 48;
+  canvas.height = 16;
+  return PIXI.Texture.from(canvas);
+}
+
+function framesOf(sprite) {
+  return sprite.textures.map((texture) => texture.frame.x);
+}
+
+test("plays frames parsed from TexturePacker data", () => {
+  const root = createTestRoot();
+  const data = createSheetData();
+  const image = createSheetImage();
+
+  root.render(
+    <>
+      <TYPE_ANIMATED_SPRITE spritesheet={data} image={image} animation="walk" />
+      <TYPE_ANIMATED_SPRITE spritesheet={data} image={image} />
+    </>
+  );
+  const [walking, everything] = root.stage.children;
+  expect(framesOf(walking)).toEqual([0, 16]);
+  expect(walking.texture.baseTexture).toBe(image.baseTexture);
+  expect(framesOf(everything)).toEqual([0, 16, 32]);
+  // Both sprites show the same sheet, which is parsed once.
+  expect(everything.textures[0]).toBe(walking.textures[0]);
+
+  root.render(
+    <TYPE_ANIMATED_SPRITE spritesheet={data} image={image} animation="idle" />
+  );
+  expect(framesOf(root.stage.getChildAt(0))).toEqual([32]);
+
+  root.unmount();
+});
+
+test("applies playing, loop and animationSpeed", () => {
+  const root = createTestRoot();
+  const data = createSheetData();
+  const image = createSheetImage();
+  const onComplete = jest.fn();
+
+  root.render(
+    <TYPE_ANIMATED_SPRITE
+      spritesheet={data}
+      image={image}
+      animation="walk"
+      animationSpeed={0.5}
+    />
+  );
+  const sprite = root.stage.getChildAt(0);
+  expect([sprite.playing, sprite.loop]).toEqual([true, true]);
+  sprite.update(2);
+  expect(sprite.currentFrame).toBe(1);
+  sprite.update(2);
+  expect(sprite.currentFrame).toBe(0);
+
+  root.render(
+    <TYPE_ANIMATED_SPRITE
+      spritesheet={data}
+      image={image}
+      animation="walk"
+      playing={false}
+    />
+  );
+  expect(sprite.playing).toBe(false);
+  expect(sprite.animationSpeed).toBe(1);
+
+  root.render(
+    <TYPE_ANIMATED_SPRITE
+      spritesheet={data}
+      image={image}
+      animation="walk"
+      loop={false}
+      onComplete={onComplete}
+    />
+  );
+  expect([sprite.playing, sprite.loop]).toEqual([true, false]);
+  sprite.update(1);
+  sprite.update(1);
+  expect(sprite.playing).toBe(false);
+  expect(sprite.currentFrame).toBe(1);
+  expect(onComplete).toHaveBeenCalledTimes(1);
+
+  root.unmount();
+});
+
+test("rejects animations the sheet doesn't have", () => {
+  const root = createTestRoot();
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  expect(() =>
+    root.render(
+      <TYPE_ANIMATED_SPRITE
+        spritesheet={createSheetData()}
+        image={createSheetImage()}
+        animation="run"
+      />
+    )
+  ).toThrow("Spritesheet has no animation named run");
+
+  root.unmount();
+  error.mockRestore();
+});
+
+test("shows the latest animation once a large sheet is parsed", async () => {
+  const { BATCH_SIZE } = PIXI.Spritesheet;
+  const root = createTestRoot();
+  const data = createSheetData();
+  const image = createSheetImage();
+
+  PIXI.Spritesheet.BATCH_SIZE = 1;
+  try {
+    root.render(
+      <TYPE_ANIMATED_SPRITE spritesheet={data} image={image} animation="walk" />
+    );
+    const sprite = root.stage.getChildAt(0);
+    expect(sprite.textures).toHaveLength(1);
+    expect(sprite.texture).toBe(PIXI.Texture.EMPTY);
+
+    root.render(
+      <TYPE_ANIMATED_SPRITE spritesheet={data} image={image} animation="idle" />
+    );
+    await batchesParsed();
+    expect(framesOf(sprite)).toEqual([32]);
+    expect(sprite.playing).toBe(true);
+  } finally {
+    PIXI.Spritesheet.BATCH_SIZE = BATCH_SIZE;
+  }
+
+  root.unmount();
+});
@@ -0,0 +1,58 @@
+import type * as PIXI from "pixi.js";
+import type { ReactNode } from "react";
+
+import type { RootOptions } from "./index";
+
+export function act(callback: () => Promise<void>): Promise<void>;
+export function act(callback: () => void): void;
+
+export interface PixiTreeNode {
+  /** The element type, or the class name for display objects which weren't created by React. */
+  type: string;
+  props: Record<string, unknown>;
+  transform: {
+    x: number;
+    y: number;
+    rotation: number;
+    scale: { x: number; y: number };
+    pivot: { x: number; y: number };
+    alpha: number;
+    visible: boolean;
+  };
+  /** Only set for `text` elements. */
+  text?: string;
+  children: PixiTreeNode[];
+}
+
+export interface PointerEventOptions {
+  x?: number;
+  y?: number;
+}
+
+export interface TestRoot {
+  stage: PIXI.Container;
+  render(element: ReactNode): void;
+  unmount(): void;
+  toJSON(): PixiTreeNode | PixiTreeNode[] | null;
+  queryAllByType(type: string): PIXI.DisplayObject[];
+  fireEvent: typeof fireEvent;
+}
+
+export function installHeadlessCanvas(): void;
+
+export function serializeDisplayObject(
+  displayObject: PIXI.DisplayObject
+): PixiTreeNode;
+
+export function fireEvent(
+  target: PIXI.DisplayObject,
+  eventName: string,
+  options?: PointerEventOptions
+): PIXI.InteractionEvent;
+
+export function createTestRoot(options?: RootOptions): TestRoot;
+
+export function renderToPixiTree(
+  element: ReactNode,
+  options?: RootOptions
+): PixiTreeNode | PixiTreeNode[] | null;
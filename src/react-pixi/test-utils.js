@@ -0,0 +1,228 @@
+import * as PIXI from "pixi.js";
+import { unstable_act as act } from "react";
+
+import { isPlainObject } from "./props";
+import { getInstanceRecord } from "./reconciler";
+import { createRoot } from "./root";
+import { TYPE_TEXT } from "./types";
+
+/**
+ * Helpers for rendering react-pixi scenes in Jest under jsdom, without a GPU:
+ *
+ * ```
+ * import { createTestRoot, renderToPixiTree } from "./react-pixi/test-utils";
+ *
+ * expect(renderToPixiTree(<Scoreboard score={3} />)).toMatchSnapshot();
+ *
+ * const root = createTestRoot();
+ * root.render(<Button onClick={onClick} />);
+ * root.fireEvent(root.queryAllByType(TYPE_RECTANGLE)[0], "pointertap");
+ * ```
+ *
+ * Importing this module marks the environment as an `act` environment, as `@testing-library/react` does, so React warns about updates made outside of `act`.
+ */
+
+window.IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * jsdom has no canvas implementation, which PIXI needs to create textures, text and filters. This stands in for a 2D context: drawing does nothing and text is measured as if every character were 8 pixels wide. WebGL contexts are unavailable, so nothing can actually be rendered.
+ */
+function createMockContext2D(canvas) {
+  const context = {
+    canvas,
+    measureText: (text) => ({ width: text.length * 8 }),
+    getImageData: (x, y, width, height) => ({
+      width,
+      height,
+      data: new Uint8ClampedArray(width * height * 4),
+    }),
+  };
+
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  });
+}
+
+const headlessAdapter = {
+  ...PIXI.settings.ADAPTER,
+  createCanvas(width, height) {
+    const canvas = document.createElement("canvas");
+
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext = (contextType) =>
+      contextType === "2d" ? createMockContext2D(canvas) : null;
+    return canvas;
+  },
+};
+
+/**
+ * Makes PIXI create its canvases with a mock 2D context. Called by `createTestRoot`; only needs to be called directly before creating PIXI objects outside of a test root.
+ */
+export function installHeadlessCanvas() {
+  PIXI.settings.ADAPTER = headlessAdapter;
+}
+
+/**
+ * `act` from React. Wrap anything that updates a test root in it; the methods of a test root already do.
+ */
+export { act };
+
+/**
+ * Converts a prop value into something JSON can represent. Functions become `"[Function]"` and instances of classes, such as textures or display objects, become `"[ClassName]"`.
+ */
+function serializeValue(value) {
+  if (typeof value === "function") {
+    return "[Function]";
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+  if (isPlainObject(value)) {
+    const serialized = {};
+    for (const key in value) {
+      serialized[key] = serializeValue(value[key]);
+    }
+    return serialized;
+  }
+  if (typeof value === "object" && value !== null) {
+    return `[${value.constructor.name}]`;
+  }
+  return value;
+}
+
+/**
+ * Converts a display object and everything below it into a plain object:
+ *
+ * - `type`: the element type, or the class name for display objects which weren't created by React.
+ * - `props`: the element's props, without `children`.
+ * - `transform`: the position, rotation, scale, pivot, alpha and visibility PIXI ended up with.
+ * - `text`: for `text` elements, the text being displayed.
+ * - `children`: the serialized children.
+ */
+export function serializeDisplayObject(displayObject) {
+  const record = getInstanceRecord(displayObject);
+  const { children, ...props } = record ? record.props : {};
+  const { x, y, rotation, scale, pivot, alpha, visible } = displayObject;
+  const node = {
+    type: record ? record.type : displayObject.constructor.name,
+    props: serializeValue(props),
+    transform: {
+      x,
+      y,
+      rotation,
+      scale: { x: scale.x, y: scale.y },
+      pivot: { x: pivot.x, y: pivot.y },
+      alpha,
+      visible,
+    },
+  };
+
+  if (node.type === TYPE_TEXT) {
+    node.text = displayObject.text;
+  }
+  node.children = displayObject.children.map(serializeDisplayObject);
+  return node;
+}
+
+function findAll(displayObject, predicate, results) {
+  for (const child of displayObject.children) {
+    if (predicate(child)) {
+      results.push(child);
+    }
+    findAll(child, predicate, results);
+  }
+  return results;
+}
+
+/**
+ * Simulates a PIXI interaction event on `target`, such as `"pointertap"` or `"pointermove"`. Like a real interaction, the event bubbles up through the target's parents until a handler calls `event.stopPropagation()`. `x` and `y` set the pointer's global position.
+ *
+ * Returns the `PIXI.InteractionEvent` which was dispatched.
+ */
+export function fireEvent(target, eventName, { x = 0, y = 0 } = {}) {
+  const event = new PIXI.InteractionEvent();
+
+  event.type = eventName;
+  event.target = target;
+  event.data = new PIXI.InteractionData();
+  event.data.global.set(x, y);
+
+  act(() => {
+    for (
+      let displayObject = target;
+      displayObject && !event.stopped;
+      displayObject = displayObject.parent
+    ) {
+      event.currentTarget = displayObject;
+      displayObject.emit(eventName, event);
+    }
+  });
+  return event;
+}
+
+/**
+ * Creates a concurrent root rendering into a new, detached `PIXI.Container`. Every update is wrapped in `act`, so the scene is up to date as soon as `render` returns. See `createContainerRoot` for `options`.
+ *
+ * - `stage`: the container the scene is rendered into.
+ * - `render(element)` and `unmount()`.
+ * - `toJSON()`: the scene serialized with `serializeDisplayObject`. Like `react-test-renderer`, this is `null` for an empty scene, a single node if there's one top-level element and an array otherwise.
+ * - `queryAllByType(type)`: every display object created for an element of `type`.
+ * - `fireEvent(target, eventName, options)`: see `fireEvent`.
+ */
+export function createTestRoot(options) {
+  installHeadlessCanvas();
+
+  const stage = new PIXI.Container();
+  const root = createRoot(stage, options);
+
+  return {
+    stage,
+    render(element) {
+      act(() => {
+        root.render(element);
+      });
+    },
+    unmount() {
+      act(() => {
+        root.unmount();
+      });
+    },
+    toJSON() {
+      const nodes = stage.children.map(serializeDisplayObject);
+
+      if (nodes.length === 0) {
+        return null;
+      }
+      return nodes.length === 1 ? nodes[0] : nodes;
+    },
+    queryAllByType(type) {
+      return findAll(
+        stage,
+        (displayObject) => {
+          const record = getInstanceRecord(displayObject);
+
+          return record !== undefined && record.type === type;
+        },
+        []
+      );
+    },
+    fireEvent,
+  };
+}
+
+/**
+ * Renders `element` into a test root and returns the serialized scene, see `createTestRoot`. The root is unmounted again before returning, so effects and `willUnmount` callbacks have all run.
+ */
+export function renderToPixiTree(element, options) {
+  const root = createTestRoot(options);
+
+  root.render(element);
+  const tree = root.toJSON();
+  root.unmount();
+  return tree;
+}
@@ -0,0 +1,55 @@
+import { createTestRoot, renderToPixiTree } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_TEXT } from "./types";
+
+const IDENTITY_TRANSFORM = {
+  x: 0,
+  y: 0,
+  rotation: 0,
+  scale: { x: 1, y: 1 },
+  pivot: { x: 0, y: 0 },
+  alpha: 1,
+  visible: true,
+};
+
+test("renderToPixiTree serializes the scene as JSON", () => {
+  const json = JSON.stringify(
+    renderToPixiTree(
+      <TYPE_CONTAINER x={5} scale={2} onClick={() => {}}>
+        <TYPE_TEXT style={{ fill: "red" }}>Score: {3}</TYPE_TEXT>
+      </TYPE_CONTAINER>
+    )
+  );
+
+  expect(JSON.parse(json)).toEqual({
+    type: TYPE_CONTAINER,
+    props: { x: 5, scale: 2, onClick: "[Function]" },
+    transform: { ...IDENTITY_TRANSFORM, x: 5, scale: { x: 2, y: 2 } },
+    children: [
+      {
+        type: TYPE_TEXT,
+        props: { style: { fill: "red" } },
+        transform: IDENTITY_TRANSFORM,
+        text: "Score: 3",
+        children: [],
+      },
+    ],
+  });
+});
+
+test("toJSON mirrors react-test-renderer for empty and multiple roots", () => {
+  const root = createTestRoot();
+
+  root.render(null);
+  expect(root.toJSON()).toBe(null);
+
+  root.render(
+    <>
+      <TYPE_CONTAINER />
+      <TYPE_CONTAINER />
+    </>
+  );
+  expect(root.toJSON()).toHaveLength(2);
+  expect(root.queryAllByType(TYPE_CONTAINER)).toHaveLength(2);
+
+  root.unmount();
+});
@@ -0,0 +1,80 @@
+/**
+ * Raw strings rendered inside a `text` element become text nodes. A text node is a plain record rather than a display object: the owning `PIXI.Text` keeps its text nodes in `textNodes` and displays them joined together, which lets children such as `Score: {score}` update piece by piece through `commitTextUpdate`.
+ */
+export function createTextNode(text) {
+  return { isTextNode: true, text, hidden: false, parent: null };
+}
+
+export function isTextNode(instance) {
+  return instance.isTextNode === true;
+}
+
+function syncText(textInstance) {
+  textInstance.text = textInstance.textNodes
+    .filter((node) => !node.hidden)
+    .map((node) => node.text)
+    .join("");
+}
+
+export function appendTextNode(textInstance, node) {
+  const { textNodes } = textInstance;
+
+  if (node.parent === textInstance) {
+    textNodes.splice(textNodes.indexOf(node), 1);
+  }
+
+  node.parent = textInstance;
+  textNodes.push(node);
+  syncText(textInstance);
+}
+
+export function insertTextNodeBefore(textInstance, node, beforeNode) {
+  const { textNodes } = textInstance;
+
+  if (node.parent === textInstance) {
+    textNodes.splice(textNodes.indexOf(node), 1);
+  }
+
+  node.parent = textInstance;
+  textNodes.splice(textNodes.indexOf(beforeNode), 0, node);
+  syncText(textInstance);
+}
+
+export function removeTextNode(textInstance, node) {
+  const { textNodes } = textInstance;
+
+  node.parent = null;
+  textNodes.splice(textNodes.indexOf(node), 1);
+  syncText(textInstance);
+}
+
+export function setTextNodeText(node, text) {
+  node.text = text;
+  if (node.parent) {
+    syncText(node.parent);
+  }
+}
+
+export function setTextNodeHidden(node, hidden) {
+  node.hidden = hidden;
+  if (node.parent) {
+    syncText(node.parent);
+  }
+}
+
+/**
+ * Gives a `PIXI.Text` which wasn't created by React one text node per string React is about to hydrate it with, so that it can be hydrated like any other `text` element. If the `PIXI.Text` shows something else, the first node holds everything it shows and the rest are empty; hydrating them then reports the mismatch and corrects the text.
+ */
+export function adoptTextNodes(textInstance, texts) {
+  const isMatch = texts.join("") === textInstance.text;
+
+  textInstance.textNodes = texts.map((text) => {
+    const node = createTextNode(isMatch ? text : "");
+
+    node.parent = textInstance;
+    return node;
+  });
+  if (!isMatch && textInstance.textNodes.length > 0) {
+    textInstance.textNodes[0].text = textInstance.text;
+  }
+}
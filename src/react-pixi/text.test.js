@@ -0,0 +1,88 @@
+import { Fragment } from "react";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_TEXT } from "./types";
+
+function Score({ label, score, bonus }) {
+  return (
+    <TYPE_TEXT>
+      {label}: {score}
+      {bonus && ` (+${bonus})`}
+    </TYPE_TEXT>
+  );
+}
+
+test("updates text nodes piece by piece", () => {
+  const root = createTestRoot();
+
+  root.render(<Score label="Score" score={1} />);
+  const [text] = root.stage.children;
+  expect(text.text).toBe("Score: 1");
+
+  root.render(<Score label="Score" score={2} />);
+  expect(root.stage.children[0]).toBe(text);
+  expect(text.text).toBe("Score: 2");
+
+  root.render(<Score label="Total" score={2} bonus={5} />);
+  expect(text.text).toBe("Total: 2 (+5)");
+  expect(text.textNodes.map((node) => node.text)).toEqual([
+    "Total",
+    ": ",
+    "2",
+    " (+5)",
+  ]);
+
+  root.render(<Score label="Total" score={3} />);
+  expect(text.text).toBe("Total: 3");
+
+  root.unmount();
+});
+
+function Words({ words }) {
+  return (
+    <TYPE_TEXT>
+      {words.map((word) => (
+        <Fragment key={word}>{word}</Fragment>
+      ))}
+    </TYPE_TEXT>
+  );
+}
+
+test("moves keyed text nodes instead of duplicating them", () => {
+  const root = createTestRoot();
+
+  root.render(<Words words={["a", "b", "c"]} />);
+  const [text] = root.stage.children;
+  const [a, b, c] = text.textNodes;
+
+  root.render(<Words words={["b", "c", "a"]} />);
+  expect(text.text).toBe("bca");
+  expect(text.textNodes).toHaveLength(3);
+  expect(text.textNodes[2]).toBe(a);
+
+  root.render(<Words words={["c", "a"]} />);
+  expect(text.text).toBe("ca");
+  expect(text.textNodes).toHaveLength(2);
+  expect(text.textNodes[0]).toBe(c);
+  expect(b.parent).toBe(null);
+
+  root.unmount();
+});
+
+test("rejects text outside of text elements and elements inside them", () => {
+  const root = createTestRoot();
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  expect(() => root.render(<TYPE_CONTAINER>Score</TYPE_CONTAINER>)).toThrow(
+    'Text strings must be rendered inside a text element: "Score"'
+  );
+  expect(() =>
+    root.render(
+      <TYPE_TEXT>
+        <TYPE_CONTAINER />
+      </TYPE_TEXT>
+    )
+  ).toThrow("Element type container cannot be rendered inside a text element");
+
+  error.mockRestore();
+});
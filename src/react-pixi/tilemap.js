@@ -0,0 +1,425 @@
+import * as PIXI from "pixi.js";
+import { forwardRef, useEffect, useMemo, useState } from "react";
+
+import { isPropEqual } from "./props";
+import { TYPE_CONTAINER, TYPE_SPRITE } from "./types";
+
+/**
+ * Flags Tiled stores in the top bits of a tile's global ID.
+ */
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const GID_MASK = 0x0fffffff;
+
+function childElements(element, nodeName) {
+  return Array.from(element.children).filter(
+    (child) => child.nodeName === nodeName
+  );
+}
+
+function readNumber(element, name, defaultValue) {
+  const value = element.getAttribute(name);
+
+  return value === null ? defaultValue : Number(value);
+}
+
+function readTMXTileData(element, encoding) {
+  if (encoding === "csv") {
+    return element.textContent
+      .trim()
+      .split(/\s*,\s*/)
+      .map(Number);
+  }
+  if (encoding === "base64") {
+    return element.textContent.trim();
+  }
+  return childElements(element, "tile").map((tile) =>
+    readNumber(tile, "gid", 0)
+  );
+}
+
+function parseTMXImage(element) {
+  const [image] = childElements(element, "image");
+
+  return image
+    ? {
+        image: image.getAttribute("source"),
+        imagewidth: readNumber(image, "width", 0),
+        imageheight: readNumber(image, "height", 0),
+      }
+    : {};
+}
+
+function parseTMXTileset(element) {
+  return {
+    firstgid: readNumber(element, "firstgid", 1),
+    source: element.getAttribute("source") || undefined,
+    name: element.getAttribute("name"),
+    tilewidth: readNumber(element, "tilewidth", 0),
+    tileheight: readNumber(element, "tileheight", 0),
+    spacing: readNumber(element, "spacing", 0),
+    margin: readNumber(element, "margin", 0),
+    columns: readNumber(element, "columns", 0),
+    ...parseTMXImage(element),
+    tiles: childElements(element, "tile").map((tile) => ({
+      id: readNumber(tile, "id", 0),
+      ...parseTMXImage(tile),
+    })),
+  };
+}
+
+function parseTMXLayers(element) {
+  return Array.from(element.children).flatMap((child) => {
+    const layer = {
+      name: child.getAttribute("name"),
+      visible: readNumber(child, "visible", 1) === 1,
+      opacity: readNumber(child, "opacity", 1),
+      offsetx: readNumber(child, "offsetx", 0),
+      offsety: readNumber(child, "offsety", 0),
+    };
+
+    switch (child.nodeName) {
+      case "layer": {
+        const [data] = childElements(child, "data");
+        const encoding = data.getAttribute("encoding") || undefined;
+        const chunks = childElements(data, "chunk");
+
+        return {
+          ...layer,
+          type: "tilelayer",
+          width: readNumber(child, "width", 0),
+          height: readNumber(child, "height", 0),
+          encoding,
+          compression: data.getAttribute("compression") || undefined,
+          ...(chunks.length > 0
+            ? {
+                chunks: chunks.map((chunk) => ({
+                  x: readNumber(chunk, "x", 0),
+                  y: readNumber(chunk, "y", 0),
+                  width: readNumber(chunk, "width", 0),
+                  height: readNumber(chunk, "height", 0),
+                  data: readTMXTileData(chunk, encoding),
+                })),
+              }
+            : { data: readTMXTileData(data, encoding) }),
+        };
+      }
+      case "group":
+        return { ...layer, type: "group", layers: parseTMXLayers(child) };
+      case "imagelayer":
+        return { ...layer, type: "imagelayer", ...parseTMXImage(child) };
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Converts a map saved in Tiled's XML format (`.tmx`) into the structure of Tiled's JSON format, as far as `Tilemap` uses it.
+ */
+export function parseTMX(text) {
+  const map = new DOMParser().parseFromString(
+    text,
+    "application/xml"
+  ).documentElement;
+  if (map.nodeName !== "map") {
+    throw new Error("Invalid tilemap: expected a Tiled map");
+  }
+
+  return {
+    orientation: map.getAttribute("orientation"),
+    width: readNumber(map, "width", 0),
+    height: readNumber(map, "height", 0),
+    tilewidth: readNumber(map, "tilewidth", 0),
+    tileheight: readNumber(map, "tileheight", 0),
+    infinite: readNumber(map, "infinite", 0) === 1,
+    tilesets: childElements(map, "tileset").map(parseTMXTileset),
+    layers: parseTMXLayers(map),
+  };
+}
+
+/**
+ * Decodes uncompressed Base64 layer data, which stores every global ID as a little-endian 32-bit integer.
+ */
+function decodeBase64(text) {
+  const bytes = atob(text);
+  const gids = [];
+
+  for (let i = 0; i < bytes.length; i += 4) {
+    gids.push(
+      (bytes.charCodeAt(i) |
+        (bytes.charCodeAt(i + 1) << 8) |
+        (bytes.charCodeAt(i + 2) << 16) |
+        (bytes.charCodeAt(i + 3) << 24)) >>>
+        0
+    );
+  }
+  return gids;
+}
+
+function getLayerGids(layer, data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (layer.compression) {
+    throw new Error(
+      `Tilemap layer ${layer.name} uses ${layer.compression} compression, which isn't supported. Save the map with CSV or uncompressed Base64 layer data.`
+    );
+  }
+  return decodeBase64(data);
+}
+
+/**
+ * Returns a function which maps a global tile ID, without its flip flags, to a texture. Textures cut from a tileset image are created once per map and collected in `textures` so they can be destroyed with it.
+ *
+ * `images` maps tileset names to a texture or URL which replaces the tileset's image. Tiled stores image paths relative to the map file, so they only work as they are if the map sits next to the page.
+ */
+function createTileTextureCache(map, images = {}, textures) {
+  const tilesets = [...map.tilesets].sort((a, b) => b.firstgid - a.firstgid);
+  const baseTextures = new Map();
+  const cache = new Map();
+
+  for (const tileset of tilesets) {
+    if (tileset.source) {
+      throw new Error(
+        `Tilemap tileset ${tileset.source} is external. Embed it in the map to use it.`
+      );
+    }
+  }
+
+  function getBaseTexture(tileset) {
+    if (!baseTextures.has(tileset)) {
+      const image = images[tileset.name] || tileset.image;
+
+      baseTextures.set(
+        tileset,
+        image instanceof PIXI.Texture
+          ? image.baseTexture
+          : PIXI.BaseTexture.from(image)
+      );
+    }
+    return baseTextures.get(tileset);
+  }
+
+  function createTileTexture(gid) {
+    const tileset = tilesets.find((candidate) => candidate.firstgid <= gid);
+    if (!tileset) {
+      return PIXI.Texture.EMPTY;
+    }
+
+    const id = gid - tileset.firstgid;
+    if (!tileset.image) {
+      // A collection of images, one per tile.
+      const tile = (tileset.tiles || []).find(
+        (candidate) => candidate.id === id
+      );
+
+      return tile ? PIXI.Texture.from(tile.image) : PIXI.Texture.EMPTY;
+    }
+
+    const { tilewidth, tileheight, margin = 0, spacing = 0 } = tileset;
+    const columns =
+      tileset.columns ||
+      Math.floor(
+        (tileset.imagewidth - 2 * margin + spacing) / (tilewidth + spacing)
+      );
+    const texture = new PIXI.Texture(
+      getBaseTexture(tileset),
+      new PIXI.Rectangle(
+        margin + (id % columns) * (tilewidth + spacing),
+        margin + Math.floor(id / columns) * (tileheight + spacing),
+        tilewidth,
+        tileheight
+      )
+    );
+
+    textures.push(texture);
+    return texture;
+  }
+
+  return (gid) => {
+    if (!cache.has(gid)) {
+      cache.set(gid, createTileTexture(gid));
+    }
+    return cache.get(gid);
+  };
+}
+
+/**
+ * Returns the sprite element for a tile at column `x` and row `y`. Tiles taller or wider than the map's grid are aligned to the bottom left of their cell, like in Tiled, and flipped around their center.
+ */
+function renderTile(map, getTexture, gid, x, y) {
+  const texture = getTexture(gid & GID_MASK);
+  const { width, height } = texture.frame;
+  const flipX = gid & FLIPPED_HORIZONTALLY ? -1 : 1;
+  const flipY = gid & FLIPPED_VERTICALLY ? -1 : 1;
+  // Tiled flips diagonally first, which amounts to a quarter turn of a horizontally mirrored tile.
+  const isDiagonal = (gid & FLIPPED_DIAGONALLY) !== 0;
+
+  return (
+    <TYPE_SPRITE
+      key={`${x},${y}`}
+      texture={texture}
+      anchor={0.5}
+      x={x * map.tilewidth + width / 2}
+      y={(y + 1) * map.tileheight - height / 2}
+      rotation={isDiagonal ? Math.PI / 2 : 0}
+      scale={isDiagonal ? [flipY, -flipX] : [flipX, flipY]}
+    />
+  );
+}
+
+function renderTiles(map, getTexture, gids, x, y, width) {
+  return gids.flatMap((gid, i) =>
+    (gid & GID_MASK) === 0
+      ? []
+      : [
+          renderTile(
+            map,
+            getTexture,
+            gid,
+            x + (i % width),
+            y + Math.floor(i / width)
+          ),
+        ]
+  );
+}
+
+function renderLayerContent(map, getTexture, layer) {
+  switch (layer.type) {
+    case "tilelayer":
+      if (layer.chunks) {
+        return layer.chunks.flatMap((chunk) =>
+          renderTiles(
+            map,
+            getTexture,
+            getLayerGids(layer, chunk.data),
+            chunk.x,
+            chunk.y,
+            chunk.width
+          )
+        );
+      }
+      return renderTiles(
+        map,
+        getTexture,
+        getLayerGids(layer, layer.data),
+        0,
+        0,
+        layer.width
+      );
+    case "group":
+      return layer.layers.map((child, i) =>
+        renderLayer(map, getTexture, child, i)
+      );
+    case "imagelayer":
+      return layer.image ? <TYPE_SPRITE image={layer.image} /> : null;
+    default:
+      return null;
+  }
+}
+
+function renderLayer(map, getTexture, layer, key) {
+  return (
+    <TYPE_CONTAINER
+      key={key}
+      name={layer.name}
+      x={layer.offsetx || 0}
+      y={layer.offsety || 0}
+      alpha={layer.opacity === undefined ? 1 : layer.opacity}
+      visible={layer.visible !== false}
+    >
+      {renderLayerContent(map, getTexture, layer)}
+    </TYPE_CONTAINER>
+  );
+}
+
+function parseMap(map) {
+  const parsedMap = typeof map === "string" ? parseTMX(map) : map;
+
+  if (
+    parsedMap &&
+    parsedMap.orientation &&
+    parsedMap.orientation !== "orthogonal"
+  ) {
+    throw new Error(
+      `Tilemap orientation ${parsedMap.orientation} isn't supported`
+    );
+  }
+  return parsedMap || null;
+}
+
+/**
+ * Tile textures for `map`, created as the map's layers are rendered. `users` counts the mounted tilemaps showing them, so they're only destroyed once none do.
+ */
+function createTileTextures(map, images) {
+  const textures = [];
+
+  return {
+    getTexture: createTileTextureCache(map, images, textures),
+    textures,
+    users: 0,
+  };
+}
+
+/**
+ * Keeps the tile textures alive while the tilemap shows them and destroys them once it doesn't. Destroying waits for a microtask because Strict Mode unmounts and remounts effects right away, with the same textures.
+ */
+function useTileTextures(tileTextures) {
+  useEffect(() => {
+    if (!tileTextures) {
+      return;
+    }
+
+    tileTextures.users += 1;
+    return () => {
+      tileTextures.users -= 1;
+      queueMicrotask(() => {
+        if (tileTextures.users === 0) {
+          tileTextures.textures.forEach((texture) => texture.destroy());
+        }
+      });
+    };
+  }, [tileTextures]);
+}
+
+/**
+ * Renders a Tiled map, given as `map` in Tiled's JSON format or as the text of a `.tmx` file. Every layer becomes a `container` element named after it, in the same order as in Tiled, so a layer can be found with `getChildByName` on the tilemap's ref. Tile layers hold one `sprite` per tile, group layers hold their layers and image layers hold a sprite of their image. Object layers are left empty, as their objects are usually better rendered as elements.
+ *
+ * The layers come before `children`, which are drawn on top of the map. Every other prop is passed to the container holding them, and the ref points to it.
+ *
+ * Only orthogonal maps with embedded tilesets are supported. `tilesets` optionally replaces the images of tilesets by name, see `createTileTextureCache`.
+ */
+export const Tilemap = forwardRef(function Tilemap(
+  { map, tilesets, children, ...props },
+  ref
+) {
+  const parsedMap = useMemo(() => parseMap(map), [map]);
+  // Inline `tilesets` objects are compared by value, so they don't recreate every tile on each render.
+  const [images, setImages] = useState(tilesets);
+  if (!isPropEqual(images, tilesets)) {
+    setImages(tilesets);
+  }
+
+  const tileTextures = useMemo(
+    () => parsedMap && createTileTextures(parsedMap, images),
+    [parsedMap, images]
+  );
+  const layers = useMemo(
+    () =>
+      parsedMap &&
+      parsedMap.layers.map((layer, i) =>
+        renderLayer(parsedMap, tileTextures.getTexture, layer, i)
+      ),
+    [parsedMap, tileTextures]
+  );
+  useTileTextures(tileTextures);
+
+  return (
+    <TYPE_CONTAINER {...props} ref={ref}>
+      {layers}
+      {children}
+    </TYPE_CONTAINER>
+  );
+});
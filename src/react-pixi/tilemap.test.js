@@ -0,0 +1,152 @@
+import * as PIXI from "pixi.js";
+import { createRef } from "react";
+
+import { createTestRoot } from "./test-utils";
+import { Tilemap } from "./tilemap";
+import { TYPE_CONTAINER, TYPE_SPRITE } from "./types";
+
+const FLIPPED_HORIZONTALLY = 0x80000000;
+
+// Destroying textures waits for a microtask, see `useTileTextures`.
+const texturesReleased = () => Promise.resolve();
+
+function createMap(ground) {
+  return {
+    orientation: "orthogonal",
+    width: 2,
+    height: 2,
+    tilewidth: 16,
+    tileheight: 16,
+    tilesets: [
+      {
+        firstgid: 1,
+        name: "tiles",
+        tilewidth: 16,
+        tileheight: 16,
+        columns: 2,
+        image: "tiles.png",
+      },
+    ],
+    layers: [
+      {
+        type: "tilelayer",
+        name: "ground",
+        width: 2,
+        height: 2,
+        data: ground,
+      },
+      {
+        type: "group",
+        name: "decoration",
+        opacity: 0.5,
+        layers: [{ type: "imagelayer", name: "sky", image: "sky.png" }],
+      },
+    ],
+  };
+}
+
+function createSheet() {
+  const canvas = document.createElement("canvas");
+
+  canvas.width = 32;
+  canvas.height = 32;
+  return PIXI.Texture.from(canvas);
+}
+
+test("renders layers and tiles as elements", () => {
+  const root = createTestRoot();
+  const ref = createRef();
+  const sheet = createSheet();
+
+  root.render(
+    <Tilemap
+      ref={ref}
+      x={5}
+      map={createMap([1, 0, 4 | FLIPPED_HORIZONTALLY, 2])}
+      tilesets={{ tiles: sheet }}
+    >
+      <TYPE_CONTAINER name="units" />
+    </Tilemap>
+  );
+  const tilemap = ref.current;
+  expect(tilemap.x).toBe(5);
+  expect(tilemap.children.map((child) => child.name)).toEqual([
+    "ground",
+    "decoration",
+    "units",
+  ]);
+
+  const ground = tilemap.getChildByName("ground");
+  expect(
+    ground.children.map(({ x, y, scale, texture }) => [
+      x,
+      y,
+      scale.x,
+      texture.frame.x,
+      texture.frame.y,
+    ])
+  ).toEqual([
+    [8, 8, 1, 0, 0],
+    [8, 24, -1, 16, 16],
+    [24, 24, 1, 16, 0],
+  ]);
+  expect(ground.children[0].texture.baseTexture).toBe(sheet.baseTexture);
+
+  const decoration = tilemap.getChildByName("decoration");
+  expect(decoration.alpha).toBe(0.5);
+  expect(decoration.getChildByName("sky").children).toHaveLength(1);
+  expect(root.queryAllByType(TYPE_SPRITE)).toHaveLength(4);
+
+  root.unmount();
+});
+
+test("destroys tile textures once the map no longer uses them", async () => {
+  // Strict Mode remounts effects right away, which mustn't destroy textures in use.
+  const root = createTestRoot({ isStrictMode: true });
+  const ref = createRef();
+  const sheet = createSheet();
+  const map = createMap([1, 2, 0, 0]);
+
+  root.render(<Tilemap ref={ref} map={map} tilesets={{ tiles: sheet }} />);
+  const ground = ref.current.getChildByName("ground");
+  const [first] = ground.children;
+  const { texture } = first;
+
+  // An inline `tilesets` object with the same images keeps the textures.
+  root.render(<Tilemap ref={ref} map={map} tilesets={{ tiles: sheet }} />);
+  await texturesReleased();
+  expect(ground.children[0].texture).toBe(texture);
+  expect(texture.baseTexture).toBe(sheet.baseTexture);
+
+  root.render(
+    <Tilemap
+      ref={ref}
+      map={createMap([2, 1, 0, 0])}
+      tilesets={{ tiles: sheet }}
+    />
+  );
+  await texturesReleased();
+  expect(ground.children[0]).toBe(first);
+  expect(first.texture).not.toBe(texture);
+  expect(texture.baseTexture).toBe(null);
+  expect(sheet.baseTexture.destroyed).toBe(false);
+
+  const { texture: current } = first;
+  root.unmount();
+  await texturesReleased();
+  expect(current.baseTexture).toBe(null);
+});
+
+test("rejects maps it can't render", () => {
+  const root = createTestRoot();
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  expect(() =>
+    root.render(
+      <Tilemap map={{ ...createMap([]), orientation: "isometric" }} />
+    )
+  ).toThrow("Tilemap orientation isometric isn't supported");
+
+  root.unmount();
+  error.mockRestore();
+});
@@ -0,0 +1,168 @@
+/**
+ * For host config methods which receive the element type, the index of that argument. Used to tag trace events with the type of element involved.
+ */
+const TYPE_ARGUMENT_INDEX = {
+  createInstance: 0,
+  shouldSetTextContent: 0,
+  finalizeInitialChildren: 1,
+  prepareUpdate: 1,
+  getChildHostContext: 1,
+  commitMount: 1,
+  commitUpdate: 2,
+};
+
+const now =
+  typeof performance !== "undefined"
+    ? () => performance.now()
+    : () => Date.now();
+
+const config = {
+  enabled: ["true", "1"].includes(process.env.REACT_APP_PIXI_TRACE),
+  methods: null,
+  maxEvents: 10000,
+  logToConsole: false,
+  onCommit: null,
+};
+
+const log = { events: [], commits: [] };
+
+/**
+ * Counts for the commit currently being rendered. Instances are created during the render phase, before `prepareForCommit`, so these are reset after each commit rather than at the start of one.
+ */
+let pendingCommit = { created: 0, updated: 0, removed: 0, startTime: 0 };
+
+/**
+ * Changes how host config calls are traced. Tracing is off by default unless the `REACT_APP_PIXI_TRACE` environment variable is `true` or `1`.
+ *
+ * - `enabled`: turns tracing on or off.
+ * - `methods`: only record events for these host config method names. `null` records every method.
+ * - `maxEvents`: how many events to keep. The oldest events are dropped first.
+ * - `logToConsole`: also print every event and commit summary with `console.debug`.
+ * - `onCommit`: called with the summary of each commit: `{ created, updated, removed, duration }`.
+ */
+export function configureTracing(options) {
+  Object.assign(config, options);
+}
+
+/**
+ * Returns the recorded trace: `events` holds one `{ method, type, timestamp, duration }` entry per host config call, `commits` one summary per commit.
+ */
+export function getTraceLog() {
+  return { events: [...log.events], commits: [...log.commits] };
+}
+
+/**
+ * Returns the recorded trace as a JSON document. See `getTraceLog`.
+ */
+export function exportTraceLog() {
+  return JSON.stringify(getTraceLog(), null, 2);
+}
+
+export function clearTraceLog() {
+  log.events = [];
+  log.commits = [];
+}
+
+function recordEvent(event) {
+  log.events.push(event);
+  if (log.events.length > config.maxEvents) {
+    log.events.splice(0, log.events.length - config.maxEvents);
+  }
+  if (config.logToConsole) {
+    console.debug(`[ReactPixi] ${event.method}`, event);
+  }
+}
+
+/**
+ * Counts `instance` and every display object below it. React only calls `removeChild` for the top-most removed instance, but the whole subtree goes with it.
+ */
+function countInstances(instance) {
+  const { children = [] } = instance;
+
+  return children.reduce((count, child) => count + countInstances(child), 1);
+}
+
+/**
+ * Updates the pending commit summary for a host config call. This runs before the call itself so removed instances can be counted before they are destroyed.
+ */
+function countCall(method, args) {
+  switch (method) {
+    case "createInstance":
+    case "createTextInstance":
+      pendingCommit.created++;
+      break;
+    case "commitUpdate":
+    case "commitTextUpdate":
+      pendingCommit.updated++;
+      break;
+    case "removeChild":
+    case "removeChildFromContainer":
+      pendingCommit.removed += countInstances(args[1]);
+      break;
+    case "prepareForCommit":
+      pendingCommit.startTime = now();
+      break;
+    case "resetAfterCommit": {
+      const { created, updated, removed, startTime } = pendingCommit;
+      const summary = {
+        created,
+        updated,
+        removed,
+        duration: now() - startTime,
+      };
+
+      log.commits.push(summary);
+      if (log.commits.length > config.maxEvents) {
+        log.commits.shift();
+      }
+      if (config.logToConsole) {
+        console.debug(`[ReactPixi] commit`, summary);
+      }
+      if (config.onCommit) {
+        config.onCommit(summary);
+      }
+      pendingCommit = { created: 0, updated: 0, removed: 0, startTime: 0 };
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function traceFunctionCall(method, fn) {
+  return (...args) => {
+    if (!config.enabled) {
+      return fn(...args);
+    }
+
+    countCall(method, args);
+
+    const startTime = now();
+    const result = fn(...args);
+    const duration = now() - startTime;
+
+    if (!config.methods || config.methods.includes(method)) {
+      const typeIndex = TYPE_ARGUMENT_INDEX[method];
+      recordEvent({
+        method,
+        type: typeIndex === undefined ? undefined : args[typeIndex],
+        timestamp: startTime,
+        duration,
+      });
+    }
+    return result;
+  };
+}
+
+/**
+ * Returns a copy of `hostConfig` with every method wrapped so its calls are traced while tracing is enabled.
+ */
+export function traceHostConfig(hostConfig) {
+  const tracedHostConfig = {};
+  for (const key in hostConfig) {
+    const value = hostConfig[key];
+    tracedHostConfig[key] =
+      typeof value === "function" ? traceFunctionCall(key, value) : value;
+  }
+  return tracedHostConfig;
+}
@@ -0,0 +1,67 @@
+import { createTestRoot } from "./test-utils";
+import { clearTraceLog, configureTracing, getTraceLog } from "./tracing";
+import { TYPE_CONTAINER, TYPE_RECTANGLE, TYPE_TEXT } from "./types";
+
+afterEach(() => {
+  configureTracing({ enabled: false, methods: null, onCommit: null });
+  clearTraceLog();
+});
+
+function Scene({ count, x }) {
+  return (
+    <TYPE_CONTAINER x={x}>
+      {Array.from({ length: count }, (_, i) => (
+        <TYPE_CONTAINER key={i}>
+          <TYPE_RECTANGLE width={i} />
+        </TYPE_CONTAINER>
+      ))}
+      <TYPE_TEXT>Count: {count}</TYPE_TEXT>
+    </TYPE_CONTAINER>
+  );
+}
+
+test("summarizes every commit", () => {
+  const onCommit = jest.fn();
+  const root = createTestRoot();
+  configureTracing({ enabled: true, onCommit });
+
+  root.render(<Scene count={3} x={0} />);
+  root.render(<Scene count={3} x={10} />);
+  root.render(<Scene count={1} x={10} />);
+  root.unmount();
+
+  const summaries = onCommit.mock.calls.map(([summary]) => summary);
+  expect(
+    summaries.map(({ created, updated, removed }) => ({
+      created,
+      updated,
+      removed,
+    }))
+  ).toEqual([
+    // The outer container, three containers with a rectangle each, the text and its two text nodes.
+    { created: 10, updated: 0, removed: 0 },
+    { created: 0, updated: 1, removed: 0 },
+    // Two containers with their rectangles, and the changed count.
+    { created: 0, updated: 1, removed: 4 },
+    // Everything that was left: four display objects. Text nodes aren't display objects.
+    { created: 0, updated: 0, removed: 4 },
+  ]);
+  expect(getTraceLog().commits).toEqual(summaries);
+});
+
+test("only records the methods asked for", () => {
+  const root = createTestRoot();
+  configureTracing({ enabled: true, methods: ["createInstance"] });
+
+  root.render(<Scene count={1} x={0} />);
+  root.unmount();
+
+  const { events } = getTraceLog();
+  expect(events.map(({ method, type }) => [method, type])).toEqual([
+    // Children are created before their parents.
+    ["createInstance", TYPE_RECTANGLE],
+    ["createInstance", TYPE_CONTAINER],
+    ["createInstance", TYPE_TEXT],
+    ["createInstance", TYPE_CONTAINER],
+  ]);
+});
@@ -0,0 +1,279 @@
+import type * as PIXI from "pixi.js";
+import type { AriaRole, ReactNode, Ref, RefObject } from "react";
+
+import type { ViewportContainer } from "./index";
+
+/**
+ * A point prop: a single number for both axes, an `[x, y]` array or an `{ x, y }` object.
+ */
+export type PointLike = number | [number, number] | { x: number; y: number };
+
+/**
+ * A declarative filter. Filters created from descriptors are reused across renders as long as the descriptor at the same position has the same `type`.
+ */
+export type FilterDescriptor =
+  | { type: "alpha"; alpha?: number }
+  | { type: "blur"; blur?: number; quality?: number }
+  | {
+      type: "colorMatrix";
+      matrix?: number[];
+      alpha?: number;
+      brightness?: number;
+      contrast?: number;
+      saturate?: number;
+      hue?: number;
+      greyscale?: number;
+      desaturate?: boolean;
+      negative?: boolean;
+      sepia?: boolean;
+    }
+  | { type: "displacement"; sprite: PIXI.Sprite; scale?: PointLike }
+  | { type: "noise"; noise?: number; seed?: number };
+
+export type PixiEventHandler = (event: PIXI.InteractionEvent) => void;
+
+/**
+ * Props supported by every element.
+ */
+export interface DisplayObjectProps<T extends PIXI.DisplayObject> {
+  x?: number;
+  y?: number;
+  rotation?: number;
+  alpha?: number;
+  visible?: boolean;
+  name?: string | null;
+  zIndex?: number;
+  sortableChildren?: boolean;
+  scale?: PointLike;
+  pivot?: PointLike;
+  cursor?: string;
+  filters?: Array<PIXI.Filter | FilterDescriptor> | null;
+  /** A `PIXI.BLEND_MODES` value or its name. Only applies to sprites, text and graphics. */
+  blendMode?: PIXI.BLEND_MODES | keyof typeof PIXI.BLEND_MODES;
+  /** Only applies to sprites, text and graphics. */
+  tint?: number;
+  mask?: PIXI.Container | RefObject<PIXI.Container> | null;
+  /** Any of the accessibility props makes the element focusable with the keyboard and visible to screen readers. */
+  accessibleTitle?: string;
+  /** Read by screen readers instead of the title. */
+  accessibleHint?: string;
+  tabIndex?: number;
+  /** Elements are announced as buttons by default. */
+  accessibleRole?: AriaRole;
+  onClick?: PixiEventHandler;
+  onPointerDown?: PixiEventHandler;
+  onPointerUp?: PixiEventHandler;
+  onPointerUpOutside?: PixiEventHandler;
+  onPointerMove?: PixiEventHandler;
+  onPointerOver?: PixiEventHandler;
+  onPointerOut?: PixiEventHandler;
+  key?: string | number;
+  ref?: Ref<T>;
+  children?: ReactNode;
+}
+
+export type ContainerProps = DisplayObjectProps<PIXI.Container>;
+
+export interface GraphicsProps extends DisplayObjectProps<PIXI.Graphics> {
+  draw?: (graphics: PIXI.Graphics) => void;
+}
+
+export interface LineStyle {
+  width?: number;
+  color?: number;
+  alpha?: number;
+}
+
+export interface ShapeProps extends DisplayObjectProps<PIXI.Graphics> {
+  /** Fill colour. `null` for no fill. */
+  fill?: number | null;
+  fillAlpha?: number;
+  lineStyle?: LineStyle;
+}
+
+export interface RectangleProps extends ShapeProps {
+  width?: number;
+  height?: number;
+}
+
+export interface RoundedRectProps extends RectangleProps {
+  radius?: number;
+}
+
+export interface CircleProps extends ShapeProps {
+  radius?: number;
+}
+
+export interface EllipseProps extends ShapeProps {
+  radiusX?: number;
+  radiusY?: number;
+}
+
+export type Points =
+  | number[]
+  | Array<[number, number] | { x: number; y: number }>;
+
+export interface PolygonProps extends ShapeProps {
+  points?: Points;
+}
+
+export interface LineProps extends DisplayObjectProps<PIXI.Graphics> {
+  points?: Points;
+  lineStyle?: LineStyle;
+}
+
+export interface SpriteProps extends DisplayObjectProps<PIXI.Sprite> {
+  texture?: PIXI.Texture;
+  image?: string;
+  anchor?: PointLike;
+}
+
+/**
+ * Sprite sheet data in the JSON format TexturePacker exports for PixiJS.
+ */
+export interface SpritesheetData {
+  frames: Record<string, object>;
+  animations?: Record<string, string[]>;
+  meta: { image?: string; scale?: string | number };
+}
+
+export interface AnimatedSpriteProps
+  extends DisplayObjectProps<PIXI.AnimatedSprite> {
+  spritesheet?: PIXI.Spritesheet | SpritesheetData;
+  /** Replaces the image named in the sprite sheet data, which is relative to the JSON file. */
+  image?: string | PIXI.Texture;
+  /** One of the sheet's `animations`. Plays every frame of the sheet if not given. */
+  animation?: string;
+  playing?: boolean;
+  loop?: boolean;
+  animationSpeed?: number;
+  onComplete?: () => void;
+  onLoop?: () => void;
+  onFrameChange?: (currentFrame: number) => void;
+  anchor?: PointLike;
+}
+
+export interface TextProps extends DisplayObjectProps<PIXI.Text> {
+  style?: Partial<PIXI.ITextStyle> | PIXI.TextStyle;
+  anchor?: PointLike;
+}
+
+export interface ParticleContainerProps
+  extends DisplayObjectProps<PIXI.ParticleContainer> {
+  /** Only read when the element is created. */
+  maxSize?: number;
+  /** Only read when the element is created. */
+  batchSize?: number;
+  properties?: PIXI.IParticleProperties;
+  autoResize?: boolean;
+}
+
+export interface BatchProps<T>
+  extends Omit<ParticleContainerProps, "children"> {
+  items?: readonly T[];
+  /** Sets up the pooled sprite which shows `item`. Sprites are reused, so set every property you rely on. */
+  render?: (sprite: PIXI.Sprite, item: T, index: number) => void;
+}
+
+export interface RenderTextureProps
+  extends DisplayObjectProps<PIXI.Container & { texture: PIXI.RenderTexture }> {
+  /** A texture to draw into. Without it the element draws into a texture of its own, available through its ref. */
+  texture?: PIXI.RenderTexture;
+  width?: number;
+  height?: number;
+  resolution?: number;
+}
+
+/**
+ * A map in Tiled's JSON format. Only the parts `Tilemap` uses are typed.
+ */
+export interface TiledMap {
+  orientation?: string;
+  width: number;
+  height: number;
+  tilewidth: number;
+  tileheight: number;
+  tilesets: Array<{
+    firstgid: number;
+    name: string;
+    source?: string;
+    tilewidth?: number;
+    tileheight?: number;
+    spacing?: number;
+    margin?: number;
+    columns?: number;
+    image?: string;
+    imagewidth?: number;
+    imageheight?: number;
+    tiles?: Array<{ id: number; image?: string }>;
+  }>;
+  layers: object[];
+}
+
+export interface TilemapProps extends DisplayObjectProps<PIXI.Container> {
+  /** A map in Tiled's JSON format, or the text of a `.tmx` file. */
+  map?: TiledMap | string | null;
+  /** Replaces the images of tilesets, by tileset name. */
+  tilesets?: Record<string, string | PIXI.Texture>;
+}
+
+export interface WorldBounds {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface CameraState {
+  x: number;
+  y: number;
+  zoom: number;
+  rotation: number;
+}
+
+/**
+ * The camera owns the viewport's transform, so `x`, `y`, `scale`, `rotation` and `pivot` are ignored.
+ */
+export interface ViewportProps
+  extends Omit<
+    DisplayObjectProps<ViewportContainer>,
+    "x" | "y" | "scale" | "rotation" | "pivot"
+  > {
+  screenWidth?: number;
+  screenHeight?: number;
+  /** The world point at the center of the screen. */
+  center?: [number, number] | { x: number; y: number };
+  zoom?: number;
+  /** Radians. */
+  cameraRotation?: number;
+  minZoom?: number;
+  maxZoom?: number;
+  worldBounds?: WorldBounds | null;
+  follow?: PIXI.DisplayObject | RefObject<PIXI.DisplayObject> | null;
+  drag?: boolean;
+  wheel?: boolean;
+  wheelSpeed?: number;
+  cull?: boolean;
+  onCameraChange?: ((camera: CameraState) => void) | null;
+}
+
+/**
+ * Element types are strings at runtime. They're typed as components so JSX type-checks their props.
+ */
+export type PixiElementType<P> = string & ((props: P) => null);
+
+export const TYPE_ANIMATED_SPRITE: PixiElementType<AnimatedSpriteProps>;
+export const TYPE_BATCH: PixiElementType<BatchProps<any>>;
+export const TYPE_CIRCLE: PixiElementType<CircleProps>;
+export const TYPE_CONTAINER: PixiElementType<ContainerProps>;
+export const TYPE_ELLIPSE: PixiElementType<EllipseProps>;
+export const TYPE_GRAPHICS: PixiElementType<GraphicsProps>;
+export const TYPE_LINE: PixiElementType<LineProps>;
+export const TYPE_PARTICLE_CONTAINER: PixiElementType<ParticleContainerProps>;
+export const TYPE_POLYGON: PixiElementType<PolygonProps>;
+export const TYPE_RECTANGLE: PixiElementType<RectangleProps>;
+export const TYPE_RENDER_TEXTURE: PixiElementType<RenderTextureProps>;
+export const TYPE_ROUNDED_RECT: PixiElementType<RoundedRectProps>;
+export const TYPE_SPRITE: PixiElementType<SpriteProps>;
+export const TYPE_TEXT: PixiElementType<TextProps>;
+export const TYPE_VIEWPORT: PixiElementType<ViewportProps>;
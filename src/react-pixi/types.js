@@ -1 +1,15 @@
+export const TYPE_ANIMATED_SPRITE = "animatedSprite";
+export const TYPE_BATCH = "batch";
+export const TYPE_CIRCLE = "circle";
+export const TYPE_CONTAINER = "container";
+export const TYPE_ELLIPSE = "ellipse";
+export const TYPE_GRAPHICS = "graphics";
+export const TYPE_LINE = "line";
+export const TYPE_PARTICLE_CONTAINER = "particleContainer";
+export const TYPE_POLYGON = "polygon";
 export const TYPE_RECTANGLE = "rectangle";
+export const TYPE_RENDER_TEXTURE = "renderTexture";
+export const TYPE_ROUNDED_RECT = "roundedRect";
+export const TYPE_SPRITE = "sprite";
+export const TYPE_TEXT = "text";
+export const TYPE_VIEWPORT = "viewport";
@@ -0,0 +1,318 @@
+import * as PIXI from "pixi.js";
+
+import { resolveRef } from "./effects";
+import { setDraggable } from "./events";
+import { applyDisplayObjectProps, hasChanged } from "./props";
+
+/**
+ * Options of a `viewport` element, along with their defaults. See `ViewportContainer`.
+ */
+const VIEWPORT_DEFAULTS = {
+  screenWidth: 800,
+  screenHeight: 600,
+  minZoom: 0.1,
+  maxZoom: 10,
+  worldBounds: null,
+  follow: null,
+  drag: true,
+  wheel: true,
+  wheelSpeed: 0.001,
+  cull: true,
+  onCameraChange: null,
+};
+
+/**
+ * Display object props which the camera controls. The `viewport` element ignores them.
+ */
+const CAMERA_TRANSFORM_PROPS = ["x", "y", "scale", "rotation", "pivot"];
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function rotate(x, y, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
+
+/**
+ * A container which shows its children through a camera. The camera looks at the world point `center` with the given `zoom` and `cameraRotation`, and what it sees fills a screen of `screenWidth` by `screenHeight` starting at the origin of the viewport's parent. To place the viewport elsewhere on the canvas, put it inside a positioned container.
+ *
+ * The camera owns the container's transform: `x`, `y`, `scale`, `rotation` and `pivot` can't be set on a viewport. Besides its props, the camera can be moved through a ref with `moveCenter` and `setZoom`.
+ *
+ * - `minZoom`, `maxZoom`: limits for `zoom`.
+ * - `worldBounds`: a `{ x, y, width, height }` rectangle in world coordinates which the camera doesn't look beyond.
+ * - `follow`: a display object, or a ref to one, which the camera keeps centered. It's usually one of the viewport's descendants.
+ * - `drag`, `wheel`: pan by dragging and zoom around the pointer with the mouse wheel.
+ * - `cull`: skip rendering descendants whose bounds are entirely outside the canvas. This turns on PIXI's own culling (`cullable`) for the viewport, which PIXI applies to every descendant while rendering.
+ * - `onCameraChange({ x, y, zoom, rotation })`: called when dragging or the mouse wheel moves the camera.
+ */
+export class ViewportContainer extends PIXI.Container {
+  constructor() {
+    super();
+
+    this.options = { ...VIEWPORT_DEFAULTS };
+    this.camera = { x: 0, y: 0, zoom: 1, rotation: 0 };
+    this.dragPosition = null;
+    this.wheelElement = null;
+    this.wheelRenderer = null;
+    this.hitArea = {
+      contains: (x, y) =>
+        this.containsScreenPoint(this.localTransform.apply({ x, y })),
+    };
+
+    this.on("pointerdown", this.onDragStart, this);
+    this.on("pointermove", this.onDragMove, this);
+    this.on("pointerup", this.onDragEnd, this);
+    this.on("pointerupoutside", this.onDragEnd, this);
+    this.onWheel = this.onWheel.bind(this);
+  }
+
+  /**
+   * Updates the viewport's options from its props. Options which aren't given fall back to `VIEWPORT_DEFAULTS`.
+   */
+  setOptions(options) {
+    this.options = { ...VIEWPORT_DEFAULTS };
+    for (const key in VIEWPORT_DEFAULTS) {
+      if (options[key] !== undefined) {
+        this.options[key] = options[key];
+      }
+    }
+    this.cullable = this.options.cull;
+  }
+
+  containsScreenPoint(point) {
+    const { screenWidth, screenHeight } = this.options;
+
+    return (
+      point.x >= 0 &&
+      point.x < screenWidth &&
+      point.y >= 0 &&
+      point.y < screenHeight
+    );
+  }
+
+  /**
+   * Converts a point in the coordinates of the viewport's parent to world coordinates, according to the camera.
+   */
+  screenToWorld(point) {
+    const { screenWidth, screenHeight } = this.options;
+    const { x, y, zoom, rotation } = this.camera;
+    const offset = rotate(
+      (point.x - screenWidth / 2) / zoom,
+      (point.y - screenHeight / 2) / zoom,
+      -rotation
+    );
+
+    return { x: x + offset.x, y: y + offset.y };
+  }
+
+  moveCenter(x, y) {
+    this.camera.x = x;
+    this.camera.y = y;
+    this.updateCamera();
+  }
+
+  /**
+   * Sets the zoom level. If `screenPoint` is given, in the coordinates of the viewport's parent, the world point under it stays where it is; otherwise the camera zooms around its center.
+   */
+  setZoom(zoom, screenPoint) {
+    const { minZoom, maxZoom, screenWidth, screenHeight } = this.options;
+    const anchor = screenPoint || { x: screenWidth / 2, y: screenHeight / 2 };
+    const worldAnchor = this.screenToWorld(anchor);
+
+    this.camera.zoom = clamp(zoom, minZoom, maxZoom);
+
+    const offset = rotate(
+      (anchor.x - screenWidth / 2) / this.camera.zoom,
+      (anchor.y - screenHeight / 2) / this.camera.zoom,
+      -this.camera.rotation
+    );
+    this.moveCenter(worldAnchor.x - offset.x, worldAnchor.y - offset.y);
+  }
+
+  /**
+   * Clamps the camera to its limits and writes it to the container's transform.
+   */
+  updateCamera() {
+    const { screenWidth, screenHeight, minZoom, maxZoom, worldBounds } =
+      this.options;
+    const { camera } = this;
+
+    camera.zoom = clamp(camera.zoom, minZoom, maxZoom);
+    if (worldBounds) {
+      const halfWidth = screenWidth / camera.zoom / 2;
+      const halfHeight = screenHeight / camera.zoom / 2;
+      const { x, y, width, height } = worldBounds;
+
+      camera.x =
+        width < halfWidth * 2
+          ? x + width / 2
+          : clamp(camera.x, x + halfWidth, x + width - halfWidth);
+      camera.y =
+        height < halfHeight * 2
+          ? y + height / 2
+          : clamp(camera.y, y + halfHeight, y + height - halfHeight);
+    }
+
+    this.pivot.set(camera.x, camera.y);
+    this.position.set(screenWidth / 2, screenHeight / 2);
+    this.scale.set(camera.zoom);
+    this.rotation = camera.rotation;
+  }
+
+  notifyCameraChange() {
+    const { onCameraChange } = this.options;
+
+    if (onCameraChange) {
+      onCameraChange({ ...this.camera });
+    }
+  }
+
+  onDragStart(event) {
+    if (this.options.drag) {
+      this.dragPosition = event.data.getLocalPosition(this.parent);
+    }
+  }
+
+  onDragMove(event) {
+    if (!this.dragPosition) {
+      return;
+    }
+
+    const position = event.data.getLocalPosition(this.parent);
+    const { zoom, rotation } = this.camera;
+    const delta = rotate(
+      (position.x - this.dragPosition.x) / zoom,
+      (position.y - this.dragPosition.y) / zoom,
+      -rotation
+    );
+
+    this.dragPosition = position;
+    this.moveCenter(this.camera.x - delta.x, this.camera.y - delta.y);
+    this.notifyCameraChange();
+  }
+
+  onDragEnd() {
+    this.dragPosition = null;
+  }
+
+  /**
+   * The interaction manager doesn't report wheel events, so they're read from the canvas directly.
+   */
+  onWheel(event) {
+    if (!this.options.wheel || !this.parent || !this.worldVisible) {
+      return;
+    }
+
+    const { interaction } = this.wheelRenderer.plugins;
+    const globalPoint = new PIXI.Point();
+    interaction.mapPositionToPoint(globalPoint, event.clientX, event.clientY);
+    const point = this.parent.toLocal(globalPoint);
+    if (!this.containsScreenPoint(point)) {
+      return;
+    }
+
+    event.preventDefault();
+    this.setZoom(
+      this.camera.zoom * Math.exp(-event.deltaY * this.options.wheelSpeed),
+      point
+    );
+    this.notifyCameraChange();
+  }
+
+  /**
+   * Listens for wheel events on the canvas of the renderer drawing the viewport, which is only known once it's first rendered.
+   */
+  attachWheel(renderer) {
+    if (this.wheelElement === renderer.view) {
+      return;
+    }
+    this.detachWheel();
+    this.wheelRenderer = renderer;
+    this.wheelElement = renderer.view;
+    this.wheelElement.addEventListener("wheel", this.onWheel, {
+      passive: false,
+    });
+  }
+
+  detachWheel() {
+    if (this.wheelElement) {
+      this.wheelElement.removeEventListener("wheel", this.onWheel);
+      this.wheelElement = null;
+      this.wheelRenderer = null;
+    }
+  }
+
+  updateTransform() {
+    const target = resolveRef(this.options.follow);
+
+    if (target && target.parent && !target.destroyed) {
+      const position = this.toLocal(target.parent.toGlobal(target.position));
+
+      this.camera.x = position.x;
+      this.camera.y = position.y;
+      this.updateCamera();
+    }
+    super.updateTransform();
+  }
+
+  render(renderer) {
+    if (this.options.wheel) {
+      this.attachWheel(renderer);
+    }
+    super.render(renderer);
+  }
+
+  /**
+   * `PIXI.CanvasRenderer` calls this instead of `render`.
+   */
+  renderCanvas(renderer) {
+    if (this.options.wheel) {
+      this.attachWheel(renderer);
+    }
+    super.renderCanvas(renderer);
+  }
+
+  destroy(options) {
+    this.detachWheel();
+    super.destroy(options);
+  }
+}
+
+function omitCameraTransformProps(props) {
+  const rest = { ...props };
+
+  for (const key of CAMERA_TRANSFORM_PROPS) {
+    delete rest[key];
+  }
+  return rest;
+}
+
+/**
+ * Applies the props of a `viewport` element. `center`, `zoom` and `cameraRotation` only move the camera when they change, so that re-rendering with the same values doesn't undo dragging or zooming by the user.
+ */
+export function applyViewportProps(viewport, oldProps, newProps) {
+  applyDisplayObjectProps(
+    viewport,
+    omitCameraTransformProps(oldProps),
+    omitCameraTransformProps(newProps)
+  );
+  viewport.setOptions(newProps);
+
+  const { center, zoom = 1, cameraRotation = 0 } = newProps;
+  if (center && hasChanged(oldProps, newProps, ["center"])) {
+    viewport.camera.x = Array.isArray(center) ? center[0] : center.x;
+    viewport.camera.y = Array.isArray(center) ? center[1] : center.y;
+  }
+  if (hasChanged(oldProps, newProps, ["zoom"])) {
+    viewport.camera.zoom = zoom;
+  }
+  if (hasChanged(oldProps, newProps, ["cameraRotation"])) {
+    viewport.camera.rotation = cameraRotation;
+  }
+  viewport.updateCamera();
+  setDraggable(viewport, viewport.options.drag);
+}
@@ -0,0 +1,207 @@
+import * as PIXI from "pixi.js";
+import { createRef } from "react";
+
+import { createTestRoot } from "./test-utils";
+import { TYPE_CONTAINER, TYPE_SPRITE, TYPE_VIEWPORT } from "./types";
+
+function Scene({ cull }) {
+  return (
+    <TYPE_VIEWPORT
+      screenWidth={100}
+      screenHeight={100}
+      center={[50, 50]}
+      wheel={false}
+      cull={cull}
+    >
+      <TYPE_CONTAINER>
+        <TYPE_SPRITE texture={PIXI.Texture.WHITE} x={10} y={10} />
+        <TYPE_SPRITE texture={PIXI.Texture.WHITE} x={500} y={10} />
+      </TYPE_CONTAINER>
+    </TYPE_VIEWPORT>
+  );
+}
+
+/**
+ * Renders the stage onto a 100 by 100 canvas and returns which sprites were drawn.
+ */
+function renderSprites(root, sprites) {
+  const renderer = {
+    renderTexture: { sourceFrame: new PIXI.Rectangle(0, 0, 100, 100) },
+  };
+  const drawn = sprites.map((sprite) =>
+    jest
+      .spyOn(sprite, "_render")
+      .mockImplementation(() => {})
+      .mockClear()
+  );
+
+  const cacheParent = root.stage.enableTempParent();
+  root.stage.updateTransform();
+  root.stage.disableTempParent(cacheParent);
+  root.stage.render(renderer);
+  return drawn.map((spy) => spy.mock.calls.length > 0);
+}
+
+test("culls nested descendants outside the canvas", () => {
+  const root = createTestRoot();
+
+  root.render(<Scene cull />);
+  const viewport = root.stage.getChildAt(0);
+  const sprites = viewport.getChildAt(0).children;
+  expect(viewport.cullable).toBe(true);
+  expect(renderSprites(root, sprites)).toEqual([true, false]);
+
+  root.render(<Scene cull={false} />);
+  expect(viewport.cullable).toBe(false);
+  expect(renderSprites(root, sprites)).toEqual([true, true]);
+
+  root.unmount();
+});
+
+function Camera(props) {
+  return (
+    <TYPE_VIEWPORT
+      screenWidth={100}
+      screenHeight={100}
+      center={[50, 50]}
+      cull={false}
+      {...props}
+    />
+  );
+}
+
+function cameraOf(viewport) {
+  const { x, y, zoom } = viewport.camera;
+
+  return [x, y, zoom];
+}
+
+test("pans by dragging while drag is on", () => {
+  const root = createTestRoot();
+  const onCameraChange = jest.fn();
+
+  root.render(<Camera onCameraChange={onCameraChange} />);
+  const viewport = root.stage.getChildAt(0);
+  expect(viewport.interactive).toBe(true);
+
+  root.fireEvent(viewport, "pointerdown", { x: 50, y: 50 });
+  root.fireEvent(viewport, "pointermove", { x: 40, y: 30 });
+  expect(cameraOf(viewport)).toEqual([60, 70, 1]);
+  expect(onCameraChange).toHaveBeenLastCalledWith({
+    x: 60,
+    y: 70,
+    zoom: 1,
+    rotation: 0,
+  });
+
+  root.fireEvent(viewport, "pointerup");
+  root.fireEvent(viewport, "pointermove", { x: 0, y: 0 });
+  expect(cameraOf(viewport)).toEqual([60, 70, 1]);
+
+  root.render(<Camera drag={false} />);
+  expect(viewport.interactive).toBe(false);
+  root.fireEvent(viewport, "pointerdown", { x: 50, y: 50 });
+  root.fireEvent(viewport, "pointermove", { x: 40, y: 30 });
+  expect(cameraOf(viewport)).toEqual([60, 70, 1]);
+
+  // Event handlers keep it interactive without dragging.
+  root.render(<Camera drag={false} onClick={() => {}} />);
+  expect(viewport.interactive).toBe(true);
+
+  root.unmount();
+});
+
+test("clamps the zoom and keeps the world point under the anchor", () => {
+  const root = createTestRoot();
+
+  root.render(<Camera minZoom={0.5} maxZoom={4} />);
+  const viewport = root.stage.getChildAt(0);
+
+  viewport.setZoom(100);
+  expect(viewport.camera.zoom).toBe(4);
+  viewport.setZoom(0.01);
+  expect(viewport.camera.zoom).toBe(0.5);
+
+  const anchor = { x: 10, y: 20 };
+  const worldAnchor = viewport.screenToWorld(anchor);
+  viewport.setZoom(2, anchor);
+  expect(viewport.camera.zoom).toBe(2);
+  expect(viewport.screenToWorld(anchor)).toEqual(worldAnchor);
+
+  root.unmount();
+});
+
+test("doesn't look beyond worldBounds", () => {
+  const root = createTestRoot();
+  const worldBounds = { x: 0, y: 0, width: 200, height: 200 };
+
+  root.render(<Camera worldBounds={worldBounds} center={[0, 190]} />);
+  const viewport = root.stage.getChildAt(0);
+  expect(cameraOf(viewport)).toEqual([50, 150, 1]);
+
+  // Zoomed out to show more than the world, the camera centers on it.
+  viewport.setZoom(0.25);
+  expect(cameraOf(viewport)).toEqual([100, 100, 0.25]);
+
+  root.unmount();
+});
+
+test("keeps the object it follows centered", () => {
+  const root = createTestRoot();
+  const player = createRef();
+
+  root.render(
+    <Camera follow={player}>
+      <TYPE_CONTAINER x={100}>
+        <TYPE_SPRITE ref={player} x={200} y={40} />
+      </TYPE_CONTAINER>
+    </Camera>
+  );
+  const viewport = root.stage.getChildAt(0);
+
+  const cacheParent = root.stage.enableTempParent();
+  root.stage.updateTransform();
+  root.stage.disableTempParent(cacheParent);
+  expect(cameraOf(viewport)).toEqual([300, 40, 1]);
+
+  root.unmount();
+});
+
+describe("wheel", () => {
+  // `pixi.js` has no canvas renderer, which adds `renderCanvas` to display objects.
+  beforeEach(() => {
+    PIXI.Container.prototype.renderCanvas = () => {};
+  });
+
+  afterEach(() => {
+    delete PIXI.Container.prototype.renderCanvas;
+  });
+
+  test.each(["render", "renderCanvas"])(
+    "zooms around the pointer once drawn with %s",
+    (method) => {
+      const root = createTestRoot();
+      const onCameraChange = jest.fn();
+      const renderer = {
+        view: document.createElement("canvas"),
+        plugins: {
+          interaction: {
+            mapPositionToPoint: (point, x, y) => point.set(x, y),
+          },
+        },
+      };
+
+      root.render(<Camera onCameraChange={onCameraChange} />);
+      const viewport = root.stage.getChildAt(0);
+      viewport[method](renderer);
+
+      renderer.view.dispatchEvent(
+        new WheelEvent("wheel", { deltaY: -1000, clientX: 25, clientY: 25 })
+      );
+      expect(viewport.camera.zoom).toBeCloseTo(Math.E);
+      expect(onCameraChange).toHaveBeenCalledTimes(1);
+
+      root.unmount();
+    }
+  );
+});